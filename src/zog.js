@@ -6,11 +6,21 @@
  * 
  * Features:
  * - Reactive state with ref() and reactive()
+ * - Variants: shallowRef(), shallowReactive() and readonly()
  * - Computed properties with computed()
+ * - Watchers with watch() and watchEffect()
  * - Template interpolation {{ expression }}
  * - Directives: z-if, z-else-if, z-else, z-for, z-model, z-show, z-text, z-html
- * - Event binding: @event or z-on:event
+ * - Event binding: @event or z-on:event, with modifiers (.prevent, .stop, .enter, ...)
  * - Attribute binding: :attr or z-bind:attr
+ * - Components with props, emits and setup via app.component()
+ * - Template partials with z-include and <slot> content
+ * - Custom directives via app.directive()
+ * - Template refs with z-ref and $refs
+ * - Lifecycle hooks: onMounted, onUnmounted, onBeforeUpdate, onUpdated
+ * - Dependency injection with provide(), inject() and app.provide()
+ * - CSP-safe expression interpreter (createApp(setup, { csp: true }))
+ * - CSS and JS transitions with z-transition
  * - Plugin system for extensibility
  * 
  * @example
@@ -43,6 +53,12 @@ const effectStack = [];
 /** Current scope for automatic effect registration */
 let currentScope = null;
 
+/** Nesting depth of batch() calls */
+let batchDepth = 0;
+
+/** Deps written during a batch, notified once when it ends */
+const pendingDeps = new Set();
+
 /**
  * Dependency tracker class
  * Each reactive property has its own Dep instance to track which effects depend on it
@@ -51,6 +67,14 @@ class Dep {
     /** Set of effects that depend on this value */
     subs = new Set();
     
+    /**
+     * @param {*} key - Property or collection key this dep belongs to, 'value' for refs and
+     *   computeds, 'iteration' / 'size/iteration' for keys and size (for error reports)
+     */
+    constructor(key) {
+        this.key = key;
+    }
+    
     /**
      * Track the current effect as a subscriber
      * Called when a reactive value is READ
@@ -67,61 +91,207 @@ class Dep {
      * Called when a reactive value is WRITTEN
      */
     notify() {
+        // Inside batch(): defer until the outermost batch finishes
+        if (batchDepth > 0) {
+            pendingDeps.add(this);
+            return;
+        }
         // Create a copy to avoid issues if subs is modified during iteration
-        new Set(this.subs).forEach(e => {
-            if (e !== activeEffect) e.scheduler ? e.scheduler(e.run.bind(e)) : queueEffect(e);
-        });
+        new Set(this.subs).forEach(e => triggerEffect(e, this));
     }
 }
 
+/**
+ * Schedule a subscriber after one of its dependencies changed
+ * @param {ReactiveEffect} e - The effect to trigger
+ * @param {Dep} dep - The dependency that changed
+ */
+const triggerEffect = (e, dep) => {
+    if (e !== activeEffect) e.scheduler ? e.scheduler(e.run.bind(e), dep) : queueEffect(e, dep);
+};
+
+/**
+ * Run a function without tracking any reactive reads
+ * Reads inside fn do not become dependencies of the running effect.
+ * 
+ * @param {Function} fn - Function to run
+ * @returns {*} The return value of fn
+ * 
+ * @example
+ * watchEffect(() => {
+ *   // Re-runs when query changes, but not when options change
+ *   search(query.value, untracked(() => options.value));
+ * });
+ */
+export const untracked = fn => {
+    const prev = activeEffect;
+    // A null entry keeps nested effects from restoring the outer effect when they finish
+    effectStack.push(null);
+    activeEffect = null;
+    try {
+        return fn();
+    } finally {
+        effectStack.pop();
+        activeEffect = prev;
+    }
+};
+
+/**
+ * Group synchronous writes so subscribers are notified once
+ * Notifications are deferred until fn returns (nested batches wait for the outermost).
+ * 
+ * @param {Function} fn - Function performing the writes
+ * @returns {*} The return value of fn
+ * 
+ * @example
+ * const onDrag = e => batch(() => {
+ *   pos.x = e.clientX;
+ *   pos.y = e.clientY;
+ * }); // Computed values depending on x and y are invalidated once
+ */
+export const batch = fn => {
+    batchDepth++;
+    try {
+        return fn();
+    } finally {
+        if (--batchDepth === 0) flushBatch();
+    }
+};
+
+/**
+ * Notify the subscribers of all deps written during a batch
+ * Computed values are invalidated first (their own deps join the pending set),
+ * then every other subscriber is triggered exactly once.
+ */
+const flushBatch = () => {
+    // Effect -> dep that triggered it
+    const effects = new Map();
+    batchDepth++;
+    while (pendingDeps.size) {
+        const deps = [...pendingDeps];
+        pendingDeps.clear();
+        for (const dep of deps) {
+            for (const e of [...dep.subs]) {
+                if (e.computed) triggerEffect(e, dep);
+                else if (!effects.has(e)) effects.set(e, dep);
+            }
+        }
+    }
+    batchDepth--;
+    effects.forEach((dep, e) => triggerEffect(e, dep));
+};
+
 // =============================================================================
 // EFFECT SCHEDULING
 // =============================================================================
 // Effects are batched and run asynchronously in the next microtask.
 // This prevents multiple updates when several reactive values change at once.
-// Effects are sorted by ID to ensure consistent execution order.
+// Each flush runs three queues in order:
+// - pre:    user effects and watchers (default)
+// - render: template bindings created by compile()
+// - post:   user effects that need the updated DOM
+// Within a queue, effects run sorted by ID to ensure consistent execution order.
+// Effects with flush 'sync' bypass the queues and run on every change.
+// Effects queued while flushing run in the same flush; an effect re-running
+// more than RECURSION_LIMIT times in one flush is aborted and reported.
 // =============================================================================
 
-/** Queue of effects waiting to be executed */
-let effectQueue = [];
+/** Queues of effects waiting to be executed, by flush timing */
+const queues = { pre: [], render: [], post: [] };
 
-/** Flag to prevent multiple flush scheduling */
+/** Flag to prevent multiple flush scheduling (true from scheduling until the flush ends) */
 let isFlushing = false;
 
+/** Maximum runs of a single effect within one flush before it is considered a loop */
+const RECURSION_LIMIT = 100;
+
+/**
+ * Take all effects off a queue, sorted by id so parents run before children
+ * Effects are pushed in trigger order; sorting once per flush keeps queueing O(1)
+ * (and the sort is linear when effects were already triggered in creation order).
+ * @param {Array} q - The queue to drain
+ * @returns {Array} The queued effects in creation order
+ */
+const takeQueue = q => {
+    const queue = q.slice().sort((a, b) => a.id - b.id);
+    q.length = 0;
+    return queue;
+};
+
 /**
  * Add an effect to the queue for batch execution
- * @param {ReactiveEffect} effect - The effect to queue
+ * The queued flag makes deduplication O(1); the queue is sorted by id when flushed.
+ * @param {ReactiveEffect} effect - The effect to queue (uses effect.flush, default 'pre')
+ * @param {Dep} dep - The dependency that triggered it (reported on infinite loops)
  */
-const queueEffect = effect => {
-    if (!effectQueue.includes(effect)) {
-        effectQueue.push(effect);
-        // Schedule flush in next microtask (after current sync code completes)
-        if (!isFlushing) { 
-            isFlushing = true; 
-            Promise.resolve().then(flushEffects); 
-        }
+const queueEffect = (effect, dep) => {
+    if (dep) effect.trigger = dep;
+    if (effect.queued) return;
+    effect.queued = true;
+    
+    (queues[effect.flush] || queues.pre).push(effect);
+    
+    // Schedule flush in next microtask (after current sync code completes)
+    if (!isFlushing) { 
+        isFlushing = true; 
+        Promise.resolve().then(flushEffects); 
     }
 };
 
 /**
- * Execute all queued effects
- * Effects are sorted by ID to ensure parent effects run before children
+ * Run effects taken off a queue
+ * @param {Array} queue - Effects from takeQueue(), sorted by id
+ * @param {Map} counts - Runs per effect in the current flush
  */
-const flushEffects = () => {
-    // Copy and sort queue, then clear it (allows new effects to be queued during flush)
-    const queue = effectQueue.slice().sort((a, b) => a.id - b.id);
-    effectQueue.length = 0;
-    isFlushing = false;
-    
+const runQueue = (queue, counts) => {
     for (const e of queue) {
-        if (e.active) {
-            try { 
-                e.run(); 
-            } catch (err) { 
-                console.error?.('Effect error:', err); 
-                runHooks('onError', err, 'effect', e); 
+        // Effects can be queued again as soon as they are taken off the queue
+        e.queued = false;
+        if (!e.active) continue;
+        
+        // Detect effects that keep re-triggering each other
+        const count = (counts.get(e) || 0) + 1;
+        counts.set(e, count);
+        if (count > RECURSION_LIMIT) {
+            // Report once, then skip the effect for the rest of this flush
+            if (count === RECURSION_LIMIT + 1) {
+                const err = new Error(`Maximum recursive updates exceeded (${RECURSION_LIMIT}). ` +
+                    'An effect is mutating state it depends on, possibly through another effect.');
+                console.error?.('Effect error:', err);
+                runHooks('onError', err, 'recursion', { effect: e, dep: e.trigger });
             }
+            continue;
+        }
+        
+        try { 
+            e.run(); 
+        } catch (err) { 
+            console.error?.('Effect error:', err); 
+            runHooks('onError', err, 'effect', e); 
+        }
+    }
+};
+
+/**
+ * Execute all queued effects: pre, then render, then post
+ * Repeats until no effects are left, so updates caused by effects
+ * (e.g. a pre watcher changing state) are applied in the same flush.
+ */
+const flushEffects = () => {
+    const counts = new Map();
+    try {
+        while (queues.pre.length || queues.render.length || queues.post.length) {
+            runQueue(takeQueue(queues.pre), counts);
+            // Update hooks of the apps/components whose bindings re-render
+            const render = takeQueue(queues.render);
+            const updating = updatingScopes(render);
+            updating.forEach(s => callHook(s, 'beforeUpdate'));
+            runQueue(render, counts);
+            updating.forEach(s => callHook(s, 'updated'));
+            runQueue(takeQueue(queues.post), counts);
         }
+    } finally {
+        isFlushing = false;
     }
 };
 
@@ -144,6 +314,10 @@ class ReactiveEffect {
         this.scheduler = scheduler; // Custom scheduler (used by computed)
         this.deps = [];            // Dependencies this effect has
         this.active = true;        // Whether this effect is still active
+        this.flush = 'pre';        // Queue timing: 'pre', 'render' or 'post'
+        this.computed = false;     // True for the effect behind a computed()
+        this.trigger = null;       // Last dep that queued this effect
+        this.queued = false;       // Whether this effect is waiting in a queue
     }
     
     /**
@@ -195,8 +369,14 @@ class ReactiveEffect {
  * Create and run a reactive effect
  * The effect will automatically re-run when its dependencies change.
  * 
+ * Flush timing (opts.flush):
+ * - 'pre'  (default) - Re-run before template bindings update
+ * - 'post' - Re-run after template bindings update (DOM is patched);
+ *            the first run is also deferred until after the next flush
+ * - 'sync' - Re-run synchronously on every change (no batching)
+ * 
  * @param {Function} fn - Function to run reactively
- * @param {Object} opts - Options (scheduler)
+ * @param {Object} opts - Options (flush, scheduler)
  * @returns {Function} Stop function to cancel the effect
  * 
  * @example
@@ -204,22 +384,188 @@ class ReactiveEffect {
  *   console.log('Count is:', count.value);
  * });
  * // Later: stop() to cancel
+ * 
+ * // Measure layout after the DOM has been updated
+ * watchEffect(() => {
+ *   height.value = list.value.length && listEl.offsetHeight;
+ * }, { flush: 'post' });
  */
 export const watchEffect = (fn, opts = {}) => {
-    const effect = new ReactiveEffect(fn, opts.scheduler);
-    effect.run(); // Run immediately
+    const { flush = 'pre' } = opts;
+    const scheduler = opts.scheduler || (flush === 'sync' ? run => run() : null);
+    const effect = new ReactiveEffect(fn, scheduler);
+    effect.flush = flush;
+    // Post effects first run after the DOM is patched, others run immediately
+    flush === 'post' ? queueEffect(effect) : effect.run();
     const stop = () => effect.stop();
     // Auto-register with current scope for cleanup
     currentScope?.addEffect(stop);
     return stop;
 };
 
+/**
+ * Create a template-binding effect (used by compile)
+ * Render effects run between 'pre' and 'post' user effects.
+ * 
+ * @param {Scope} cs - Scope that owns the effect
+ * @param {Function} fn - Function that updates the DOM
+ */
+const renderEffect = (cs, fn) => {
+    const effect = new ReactiveEffect(fn);
+    effect.flush = 'render';
+    effect.scope = cs;
+    effect.run();
+    cs.addEffect(() => effect.stop());
+};
+
+/**
+ * Recursively read every nested property so the active effect depends on all of them
+ * Used by watch() for deep watching
+ * @param {*} value - Value to traverse
+ * @param {Set} seen - Already visited objects (guards against circular references)
+ * @returns {*} The same value
+ */
+const traverse = (value, seen = new Set()) => {
+    if (!isObj(value) || seen.has(value)) return value;
+    seen.add(value);
+    if (value._isRef) {
+        traverse(value.value, seen);
+    } else if (Array.isArray(value)) {
+        for (let i = 0; i < value.length; i++) traverse(value[i], seen);
+    } else if (value instanceof Map || value instanceof Set) {
+        value.forEach(v => traverse(v, seen));
+    } else {
+        for (const k in value) traverse(value[k], seen);
+    }
+    return value;
+};
+
+/**
+ * Watch one or more reactive sources and run a callback when they change
+ * Unlike watchEffect, the callback only tracks the source and receives new and old values.
+ *
+ * Sources can be:
+ * - A ref or computed
+ * - A getter function
+ * - A reactive object (watched deeply)
+ * - An array of the above (callback receives arrays of values)
+ *
+ * @param {*} source - What to watch
+ * @param {Function} cb - Callback (newValue, oldValue, onCleanup)
+ * @param {Object} opts - Options
+ * @param {boolean} opts.immediate - Run the callback immediately with the current value
+ * @param {boolean} opts.deep - Trigger on nested changes
+ * @param {boolean} opts.once - Stop after the callback has run once
+ * @param {string} opts.flush - Callback timing: 'pre' (default), 'post' or 'sync' (see watchEffect)
+ * @returns {Function} Stop function to cancel the watcher
+ *
+ * @example
+ * const count = ref(0);
+ * watch(count, (val, old) => console.log(`${old} -> ${val}`));
+ *
+ * watch(() => state.user.name, (name, old, onCleanup) => {
+ *   const timer = setTimeout(() => save(name), 500);
+ *   onCleanup(() => clearTimeout(timer));
+ * });
+ */
+export const watch = (source, cb, opts = {}) => {
+    const { immediate = false, once = false, flush = 'pre' } = opts;
+    let deep = opts.deep;
+    const isMulti = Array.isArray(source) && !source[IS_REACTIVE];
+
+    /** Turn a single source into a getter */
+    const toGetter = s => {
+        if (s?._isRef) return () => s.value;
+        if (s?.[IS_REACTIVE]) return () => s;
+        if (typeof s === 'function') return s;
+        console.warn?.('watch() source must be a ref, reactive object, getter function or an array of these.');
+        return () => undefined;
+    };
+
+    let getter;
+    if (isMulti) {
+        // Reactive objects inside a source array are always watched deeply
+        const getters = source.map(toGetter);
+        getter = () => getters.map((g, i) => source[i]?.[IS_REACTIVE] ? traverse(g()) : g());
+    } else {
+        getter = toGetter(source);
+        // Reactive objects are watched deeply by default
+        if (source?.[IS_REACTIVE] && deep === undefined) deep = true;
+    }
+
+    if (deep) {
+        const base = getter;
+        getter = () => traverse(base());
+    }
+
+    let oldValue = isMulti ? [] : undefined;
+    let cleanupFn = null;
+
+    /** Register a cleanup to run before the next callback and on stop */
+    const onCleanup = fn => { cleanupFn = fn; };
+    const runCleanup = () => {
+        if (cleanupFn) {
+            const fn = cleanupFn;
+            cleanupFn = null;
+            fn();
+        }
+    };
+
+    // Queued job: re-evaluate the source, compare and call back.
+    // queueEffect only needs an id, active/queued flags, a flush timing and a run() method.
+    const job = {
+        id: 0,
+        active: true,
+        queued: false,
+        flush,
+        run() {
+            if (!effect.active) return;
+            const newValue = effect.run();
+            const changed = deep || (isMulti
+                ? newValue.some((v, i) => !Object.is(v, oldValue[i]))
+                : !Object.is(newValue, oldValue));
+            if (!changed) return;
+
+            runCleanup();
+            cb(newValue, oldValue, onCleanup);
+            oldValue = newValue;
+            if (once) stop();
+        }
+    };
+
+    // The scheduler defers to the queue instead of re-running the getter directly
+    const effect = new ReactiveEffect(getter, (run, dep) => flush === 'sync' ? job.run() : queueEffect(job, dep));
+    job.id = effect.id;
+
+    const stop = () => {
+        effect.stop();
+        job.active = false;
+        runCleanup();
+    };
+
+    if (immediate) {
+        // First callback receives undefined (or []) as the old value
+        const newValue = effect.run();
+        cb(newValue, oldValue, onCleanup);
+        oldValue = newValue;
+        if (once) stop();
+    } else {
+        oldValue = effect.run();
+    }
+
+    // Auto-register with current scope for cleanup
+    currentScope?.addEffect(stop);
+    return stop;
+};
+
 // =============================================================================
 // DEEP REACTIVITY (reactive)
 // =============================================================================
-// Creates a deeply reactive proxy for objects and arrays.
+// Creates a deeply reactive proxy for objects, arrays and collections.
 // All nested objects are automatically wrapped in proxies.
 // Array methods are specially handled to trigger proper updates.
+// Map/Set/WeakMap/WeakSet methods are replaced with tracked versions.
+// shallowReactive() and readonly() are variants built on the same proxies.
 // =============================================================================
 
 /** Symbol to access the raw (unwrapped) object */
@@ -228,8 +574,19 @@ const RAW = Symbol('raw');
 /** Symbol to check if an object is already reactive */
 const IS_REACTIVE = Symbol('isReactive');
 
-/** WeakMap to cache reactive proxies (prevents double-wrapping) */
+/** Symbol to check if a proxy is readonly */
+const IS_READONLY = Symbol('isReadonly');
+
+/** Symbol to check if a proxy is shallow (nested objects are not wrapped) */
+const IS_SHALLOW = Symbol('isShallow');
+
+/** Symbol marking objects that must never be made reactive (see markRaw) */
+const SKIP = Symbol('skip');
+
+/** WeakMaps to cache proxies per variant (prevents double-wrapping) */
 const reactiveMap = new WeakMap();
+const shallowReactiveMap = new WeakMap();
+const readonlyMap = new WeakMap();
 
 /** Helper: Check if value is an object */
 const isObj = v => v && typeof v === 'object';
@@ -237,6 +594,9 @@ const isObj = v => v && typeof v === 'object';
 /** Helper: Check if object has own property */
 const has = (o, k) => Object.prototype.hasOwnProperty.call(o, k);
 
+/** Helper: Warn about a write to a readonly proxy */
+const warnReadonly = k => console.warn?.(`Cannot modify "${String(k)}": target is readonly.`);
+
 /** Array methods that mutate the array */
 const arrayMutators = new Set([
     'push', 'pop', 'shift', 'unshift', 'splice', 
@@ -251,26 +611,188 @@ const arrayIterators = new Set([
     'values', 'entries', 'keys', Symbol.iterator
 ]);
 
+/** Array methods that return an iterator object */
+const arrayIteratorFactories = new Set(['values', 'entries', 'keys', Symbol.iterator]);
+
+/** Collection methods that mutate the collection */
+const collectionMutators = new Set(['set', 'add', 'delete', 'clear']);
+
+/** Helper: Check if value is a keyed collection (Map, Set, WeakMap, WeakSet) */
+const isCollection = v => v instanceof Map || v instanceof Set || v instanceof WeakMap || v instanceof WeakSet;
+
 /**
- * Create a deeply reactive proxy for an object or array
+ * Create a reactive proxy for a Map, Set, WeakMap or WeakSet
  * 
- * @param {Object|Array} target - The object to make reactive
- * @returns {Proxy} A reactive proxy of the object
+ * Collections keep their data in internal slots, so property traps never see
+ * map.set() or set.add(). Instead, the collection methods are replaced with
+ * tracked versions that work on the raw collection and notify per key.
  * 
- * @example
- * const state = reactive({ 
- *   user: { name: 'John' },
- *   items: [1, 2, 3]
- * });
- * state.user.name = 'Jane'; // Triggers updates
- * state.items.push(4);      // Triggers updates
+ * @param {Map|Set|WeakMap|WeakSet} target - The collection to make reactive
+ * @param {boolean} isReadonly - Block mutations (with a warning)
+ * @param {boolean} isShallow - Return nested values as-is
+ * @returns {Proxy} A reactive proxy of the collection
+ */
+const createCollectionProxy = (target, isReadonly, isShallow) => {
+    const isWeak = target instanceof WeakMap || target instanceof WeakSet;
+    const isMap = target instanceof Map || target instanceof WeakMap;
+    
+    // Each key gets its own dependency tracker (weak collections only have object keys)
+    const depsMap = isWeak ? new WeakMap() : new Map();
+    
+    // Special dep for size and iteration (forEach, for...of, keys, values, entries)
+    const iterationDep = new Dep('size/iteration');
+    
+    /** Get or create dependency tracker for a key */
+    const getDep = k => depsMap.get(k) || (depsMap.set(k, new Dep(k)), depsMap.get(k));
+    
+    /** Track a key read (primitives can never be in a weak collection, so they aren't tracked) */
+    const track = k => {
+        if (!isWeak || isObj(k) || typeof k === 'function') getDep(k).depend();
+    };
+    
+    /** Unwrap reactive keys/values so the raw collection never stores proxies */
+    const toRawVal = v => v?.[RAW] ?? v;
+    
+    /** Wrap nested objects on the way out (deep reactivity) */
+    const wrap = v => isObj(v) && !isShallow ? (isReadonly ? readonly(v) : reactive(v)) : v;
+    
+    /** Notify a key change (and iteration, since iteration results changed too) */
+    const trigger = k => {
+        getDep(k).notify();
+        iterationDep.notify();
+    };
+    
+    /**
+     * Create a tracked iterator method
+     * @param {string|symbol} method - 'keys', 'values', 'entries' or Symbol.iterator
+     */
+    const createIterator = method => function () {
+        iterationDep.depend();
+        const inner = target[method]();
+        const isPair = method === 'entries' || (method === Symbol.iterator && isMap);
+        return {
+            next() {
+                const { value, done } = inner.next();
+                return done ? { value, done } : { value: isPair ? [wrap(value[0]), wrap(value[1])] : wrap(value), done };
+            },
+            [Symbol.iterator]() { return this; }
+        };
+    };
+    
+    // Tracked replacements for collection methods
+    const methods = {
+        get(k) {
+            k = toRawVal(k);
+            track(k);
+            return wrap(target.get(k));
+        },
+        has(k) {
+            k = toRawVal(k);
+            track(k);
+            return target.has(k);
+        },
+        set(k, v) {
+            k = toRawVal(k);
+            v = toRawVal(v);
+            const hadKey = target.has(k);
+            const old = target.get(k);
+            target.set(k, v);
+            // Only notify if value actually changed or key is new
+            if (!hadKey || !Object.is(old, v)) trigger(k);
+            return proxy;
+        },
+        add(v) {
+            v = toRawVal(v);
+            if (!target.has(v)) {
+                target.add(v);
+                trigger(v);
+            }
+            return proxy;
+        },
+        delete(k) {
+            k = toRawVal(k);
+            const hadKey = target.has(k);
+            const res = target.delete(k);
+            if (hadKey) trigger(k);
+            return res;
+        },
+        clear() {
+            const hadItems = target.size > 0;
+            target.clear();
+            if (hadItems) {
+                depsMap.forEach(dep => dep.notify());
+                iterationDep.notify();
+            }
+        },
+        forEach(cb, thisArg) {
+            iterationDep.depend();
+            target.forEach((v, k) => cb.call(thisArg, wrap(v), wrap(k), proxy));
+        },
+        keys: createIterator('keys'),
+        values: createIterator('values'),
+        entries: createIterator('entries'),
+        [Symbol.iterator]: createIterator(Symbol.iterator)
+    };
+    
+    // Readonly collections warn instead of mutating
+    if (isReadonly) {
+        for (const m of collectionMutators) {
+            methods[m] = function (k) {
+                warnReadonly(k);
+                return m === 'delete' ? false : m === 'clear' ? undefined : proxy;
+            };
+        }
+    }
+    
+    const proxy = new Proxy(target, {
+        /**
+         * GET handler - returns tracked methods and tracks size
+         */
+        get(t, k) {
+            if (k === RAW) return t;
+            if (k === IS_REACTIVE) return isReadonly ? !!t[IS_REACTIVE] : true;
+            if (k === IS_READONLY) return isReadonly;
+            if (k === IS_SHALLOW) return isShallow;
+            // size is an accessor on the prototype and must be read from the raw collection
+            if (k === 'size') {
+                iterationDep.depend();
+                return t.size;
+            }
+            // Only expose methods the collection type actually has (e.g. no clear() on WeakMap)
+            if (has(methods, k) && k in t) return methods[k];
+            return Reflect.get(t, k, t);
+        }
+    });
+    
+    return proxy;
+};
+
+/**
+ * Create a proxy for an object, array or collection
+ * Shared by reactive(), shallowReactive() and readonly()
+ * 
+ * @param {Object|Array|Map|Set} target - The object to wrap
+ * @param {boolean} isReadonly - Block writes (with a warning)
+ * @param {boolean} isShallow - Only the root level is reactive
+ * @param {WeakMap} proxyMap - Cache for this variant
+ * @returns {Proxy} The proxy (or the target if it cannot be wrapped)
  */
-export const reactive = target => {
-    // Only objects can be reactive
-    if (!isObj(target) || target[IS_REACTIVE]) return target;
+const createReactiveObject = (target, isReadonly, isShallow, proxyMap) => {
+    // Only objects can be reactive (and not ones opted out with markRaw)
+    if (!isObj(target) || target[SKIP]) return target;
+    
+    // Readonly proxies are final; readonly() may still wrap a reactive proxy
+    if (target[IS_READONLY] || (target[IS_REACTIVE] && !isReadonly)) return target;
     
     // Return cached proxy if exists (prevents double-wrapping)
-    if (reactiveMap.has(target)) return reactiveMap.get(target);
+    if (proxyMap.has(target)) return proxyMap.get(target);
+
+    // Maps and Sets need method-level handlers
+    if (isCollection(target)) {
+        const proxy = createCollectionProxy(target, isReadonly, isShallow);
+        proxyMap.set(target, proxy);
+        return proxy;
+    }
 
     const isArray = Array.isArray(target);
     
@@ -278,10 +800,13 @@ export const reactive = target => {
     const depsMap = new Map();
     
     // Special dep for iteration (for...of, Object.keys, etc.)
-    const iterationDep = new Dep();
+    const iterationDep = new Dep('iteration');
     
     /** Get or create dependency tracker for a property */
-    const getDep = k => depsMap.get(k) || (depsMap.set(k, new Dep()), depsMap.get(k));
+    const getDep = k => depsMap.get(k) || (depsMap.set(k, new Dep(k)), depsMap.get(k));
+
+    /** Wrap nested objects in the matching variant */
+    const wrap = v => isObj(v) && !isShallow ? (isReadonly ? readonly(v) : reactive(v)) : v;
 
     /**
      * Create a wrapped array method that triggers reactivity
@@ -291,6 +816,9 @@ export const reactive = target => {
         const isMut = arrayMutators.has(method);
         const isIter = arrayIterators.has(method);
         
+        // Readonly arrays refuse mutations
+        if (isMut && isReadonly) return () => warnReadonly(method);
+        
         return function (...args) {
             const raw = this[RAW];
             
@@ -320,8 +848,11 @@ export const reactive = target => {
                 }
             }
             
+            // Iterators are returned as-is (they read elements through the proxy)
+            if (arrayIteratorFactories.has(method)) return res;
+            
             // Wrap result in reactive if it's an object
-            return isObj(res) && !res[IS_REACTIVE] ? reactive(res) : res;
+            return isObj(res) && !res[IS_REACTIVE] && !res[IS_READONLY] ? wrap(res) : res;
         };
     };
 
@@ -338,8 +869,10 @@ export const reactive = target => {
         get(t, k, r) {
             // Return raw object (used internally)
             if (k === RAW) return t;
-            // Check if reactive
-            if (k === IS_REACTIVE) return true;
+            // Check if reactive (readonly proxies report the object they wrap)
+            if (k === IS_REACTIVE) return isReadonly ? !!t[IS_REACTIVE] : true;
+            if (k === IS_READONLY) return isReadonly;
+            if (k === IS_SHALLOW) return isShallow;
             // Use wrapped array methods
             if (isArray && arrayMethods?.[k]) return arrayMethods[k];
             
@@ -347,14 +880,19 @@ export const reactive = target => {
             getDep(k).depend();
             
             const res = Reflect.get(t, k, r);
-            // Recursively wrap nested objects
-            return isObj(res) ? (res[IS_REACTIVE] ? res : reactive(res)) : res;
+            // Recursively wrap nested objects (markRaw objects are returned as-is)
+            if (!isObj(res) || res[SKIP]) return res;
+            return res[IS_READONLY] || (res[IS_REACTIVE] && !isReadonly) ? res : wrap(res);
         },
         
         /**
          * SET handler - notifies subscribers when values change
          */
         set(t, k, v, r) {
+            if (isReadonly) {
+                warnReadonly(k);
+                return true;
+            }
             const old = t[k];
             const hadKey = has(t, k);
             const res = Reflect.set(t, k, v, r);
@@ -374,6 +912,10 @@ export const reactive = target => {
          * DELETE handler - notifies when properties are deleted
          */
         deleteProperty(t, k) {
+            if (isReadonly) {
+                warnReadonly(k);
+                return true;
+            }
             const hadKey = has(t, k);
             const res = Reflect.deleteProperty(t, k);
             if (hadKey) { 
@@ -401,44 +943,133 @@ export const reactive = target => {
     });
 
     // Cache the proxy
-    reactiveMap.set(target, proxy);
+    proxyMap.set(target, proxy);
     return proxy;
 };
 
+/**
+ * Create a deeply reactive proxy for an object, array, Map or Set
+ * 
+ * @param {Object|Array|Map|Set} target - The object to make reactive
+ * @returns {Proxy} A reactive proxy of the object
+ * 
+ * @example
+ * const state = reactive({ 
+ *   user: { name: 'John' },
+ *   items: [1, 2, 3]
+ * });
+ * state.user.name = 'Jane'; // Triggers updates
+ * state.items.push(4);      // Triggers updates
+ * 
+ * const selected = reactive(new Set());
+ * selected.add(id);          // Triggers updates
+ */
+export const reactive = target => createReactiveObject(target, false, false, reactiveMap);
+
+/**
+ * Create a reactive proxy where only root-level properties are reactive
+ * Nested objects are returned as-is (useful for large data structures)
+ * 
+ * @param {Object|Array|Map|Set} target - The object to make reactive
+ * @returns {Proxy} A shallow reactive proxy of the object
+ * 
+ * @example
+ * const state = shallowReactive({ rows: bigArray });
+ * state.rows = newArray;    // Triggers updates
+ * state.rows[0].x = 1;      // Does NOT trigger updates
+ */
+export const shallowReactive = target => createReactiveObject(target, false, true, shallowReactiveMap);
+
+/**
+ * Create a deeply readonly proxy
+ * Writes are ignored with a warning. Wrapping a reactive object still
+ * tracks its changes, so readonly views stay up to date.
+ * 
+ * @param {Object|Array|Map|Set} target - The object (or reactive proxy) to protect
+ * @returns {Proxy} A readonly proxy of the object
+ * 
+ * @example
+ * const state = reactive({ count: 0 });
+ * const view = readonly(state);
+ * view.count++;             // Warns, no change
+ * state.count++;            // view.count is 1
+ */
+export const readonly = target => createReactiveObject(target, true, false, readonlyMap);
+
+/**
+ * Return the raw object behind a reactive or readonly proxy
+ * 
+ * @param {*} observed - A proxy (or any value)
+ * @returns {*} The original object (or the value itself if not a proxy)
+ * 
+ * @example
+ * const raw = { a: 1 };
+ * toRaw(reactive(raw)) === raw; // true
+ */
+export const toRaw = observed => {
+    const raw = isObj(observed) && observed[RAW];
+    return raw ? toRaw(raw) : observed;
+};
+
+/**
+ * Mark an object so it is never converted to a proxy
+ * Useful for third-party instances (charts, maps, editors) stored in reactive state.
+ * 
+ * @param {Object} obj - The object to opt out of reactivity
+ * @returns {Object} The same object
+ * 
+ * @example
+ * state.chart = markRaw(new Chart(canvas));
+ * state.chart === state.chart; // Not wrapped in a proxy
+ */
+export const markRaw = obj => {
+    if (isObj(obj) && Object.isExtensible(obj)) {
+        Object.defineProperty(obj, SKIP, { value: true, configurable: true });
+    }
+    return obj;
+};
+
+/**
+ * Check if a value is a reactive proxy (created by reactive() or shallowReactive())
+ * Readonly proxies count only when they wrap a reactive object.
+ * 
+ * @param {*} value - The value to check
+ * @returns {boolean}
+ */
+export const isReactive = value => !!(isObj(value) && value[IS_REACTIVE]);
+
 // =============================================================================
 // REF & COMPUTED
 // =============================================================================
-// ref() - For primitive values (string, number, boolean)
+// ref() - For any value (objects and arrays are made deeply reactive)
+// shallowRef() - For any value, only .value replacement is tracked
 // computed() - For derived/calculated values that auto-update
 // =============================================================================
 
 /**
- * Create a reactive reference for a primitive value
- * 
- * NOTE: ref() only accepts primitive values (string, number, boolean, null, undefined).
- * For objects and arrays, use reactive() instead.
+ * Global configuration
+ * - strictRefs: Make ref() reject objects and arrays (primitive-only refs)
+ */
+export const config = {
+    strictRefs: false
+};
+
+/** Helper: Convert objects to reactive proxies (primitives stay as-is) */
+const toReactive = v => isObj(v) ? reactive(v) : v;
+
+/**
+ * Create a ref object
+ * Shared by ref() and shallowRef()
  * 
- * @param {*} val - The primitive value
+ * @param {*} val - The initial value
+ * @param {boolean} isShallow - Store objects as-is instead of making them reactive
  * @returns {Object} A ref object with .value property
- * @throws {Error} If val is an object or array
- * 
- * @example
- * const count = ref(0);
- * count.value++;        // Updates and triggers reactivity
- * console.log(count.value); // 1
- * 
- * // In templates, .value is automatic:
- * // {{ count }} instead of {{ count.value }}
  */
-export const ref = val => {
-    // Enforce primitive-only rule for API clarity
-    if (isObj(val)) {
-        console.warn('ref() only accepts primitive values. Use reactive() for objects and arrays.');
-        throw new Error('ref() cannot be used with objects or arrays. Use reactive() instead.');
-    }
-    
-    let v = val;
-    const dep = new Dep();
+const createRef = (val, isShallow) => {
+    // Raw value is used for change detection so reactive(x) and x compare equal
+    let raw = isShallow ? val : toRaw(val);
+    let v = isShallow ? val : toReactive(val);
+    const dep = new Dep('value');
     
     return {
         /** Flag to identify refs (used by evalExp for auto-unwrapping) */
@@ -452,13 +1083,15 @@ export const ref = val => {
         
         /** Set the value (triggers updates if changed) */
         set value(nv) {
-            // Also prevent setting to object/array
-            if (isObj(nv)) {
+            // Strict mode keeps refs primitive-only
+            if (!isShallow && config.strictRefs && isObj(nv)) {
                 console.warn('ref() value cannot be set to an object or array. Use reactive() instead.');
                 throw new Error('ref() value cannot be set to an object or array.');
             }
-            if (!Object.is(nv, v)) { 
-                v = nv; 
+            const nraw = isShallow ? nv : toRaw(nv);
+            if (!Object.is(nraw, raw)) { 
+                raw = nraw;
+                v = isShallow ? nv : toReactive(nv); 
                 dep.notify(); 
             }
         },
@@ -469,26 +1102,167 @@ export const ref = val => {
 };
 
 /**
- * Create a computed property that auto-updates when dependencies change
+ * Create a reactive reference
  * 
- * Computed values are lazy - they only recalculate when accessed and dirty.
- * They cache their result until a dependency changes.
+ * Holds any value. Objects and arrays are converted with reactive(),
+ * both initially and whenever .value is assigned.
+ * With config.strictRefs enabled, objects and arrays are rejected.
  * 
- * @param {Function} getter - Function that returns the computed value
- * @returns {Object} A ref-like object with .value property (read-only)
+ * @param {*} val - The initial value
+ * @returns {Object} A ref object with .value property
+ * @throws {Error} If config.strictRefs is enabled and val is an object or array
  * 
  * @example
- * const count = ref(1);
- * const doubled = computed(() => count.value * 2);
- * console.log(doubled.value); // 2
- * count.value = 5;
- * console.log(doubled.value); // 10
+ * const count = ref(0);
+ * count.value++;        // Updates and triggers reactivity
+ * console.log(count.value); // 1
+ * 
+ * const user = ref(null);
+ * user.value = await loadUser(); // Stored as reactive(user)
+ * 
+ * // In templates, .value is automatic:
+ * // {{ count }} instead of {{ count.value }}
  */
-export const computed = getter => {
-    let value;
-    let dirty = true; // Needs recalculation?
-    const dep = new Dep();
-    
+export const ref = val => {
+    // Strict mode keeps refs primitive-only
+    if (config.strictRefs && isObj(val)) {
+        console.warn('ref() only accepts primitive values. Use reactive() for objects and arrays.');
+        throw new Error('ref() cannot be used with objects or arrays. Use reactive() instead.');
+    }
+    return createRef(val, false);
+};
+
+/**
+ * Create a shallow reactive reference
+ * 
+ * Unlike ref(), shallowRef() never converts its value (objects are stored as-is).
+ * Only replacing .value triggers updates.
+ * 
+ * @param {*} val - The initial value
+ * @returns {Object} A ref object with .value property
+ * 
+ * @example
+ * const rows = shallowRef([]);
+ * rows.value = await fetchRows(); // Triggers updates
+ * rows.value.push(row);           // Does NOT trigger updates
+ */
+export const shallowRef = val => createRef(val, true);
+
+/**
+ * Check if a value is a ref (ref, shallowRef, computed or toRef)
+ * 
+ * @param {*} r - The value to check
+ * @returns {boolean}
+ */
+export const isRef = r => !!r?._isRef;
+
+/**
+ * Return the inner value of a ref, or the value itself
+ * 
+ * @param {*} r - A ref or any value
+ * @returns {*} The unwrapped value
+ * 
+ * @example
+ * unref(ref(1)); // 1
+ * unref(1);      // 1
+ */
+export const unref = r => isRef(r) ? r.value : r;
+
+/**
+ * Create a ref linked to a property of a reactive object
+ * Reading and writing .value reads and writes the property.
+ * 
+ * Also accepts a ref (returned as-is) or a getter function (readonly ref).
+ * 
+ * @param {Object|Function} source - Reactive object, ref or getter
+ * @param {string} key - Property name (when source is an object)
+ * @param {*} defaultValue - Returned when the property is undefined
+ * @returns {Object} A ref object with .value property
+ * 
+ * @example
+ * const state = reactive({ count: 0 });
+ * const count = toRef(state, 'count');
+ * count.value++; // state.count is 1
+ */
+export const toRef = (source, key, defaultValue) => {
+    if (isRef(source)) return source;
+    
+    if (typeof source === 'function') {
+        return {
+            _isRef: true,
+            get value() { return source(); },
+            toString: () => String(source())
+        };
+    }
+    
+    // Keep refs stored on the object instead of wrapping them twice
+    if (isObj(source) && isRef(source[key])) return source[key];
+    
+    const get = () => {
+        const v = source[key];
+        return v === undefined ? defaultValue : v;
+    };
+    
+    return {
+        _isRef: true,
+        get value() { return get(); },
+        set value(nv) { source[key] = nv; },
+        toString: () => String(get())
+    };
+};
+
+/**
+ * Convert every property of a reactive object into a linked ref
+ * Allows destructuring without losing reactivity.
+ * 
+ * @param {Object|Array} obj - Reactive object or array
+ * @returns {Object|Array} Plain object (or array) of refs
+ * 
+ * @example
+ * const state = reactive({ x: 0, y: 0 });
+ * const { x, y } = toRefs(state);
+ * x.value = 10; // state.x is 10
+ */
+export const toRefs = obj => {
+    const res = Array.isArray(obj) ? new Array(obj.length) : {};
+    for (const k in obj) res[k] = toRef(obj, k);
+    return res;
+};
+
+/**
+ * Create a computed property that auto-updates when dependencies change
+ * 
+ * Computed values are lazy - they only recalculate when accessed and dirty.
+ * They cache their result until a dependency changes.
+ * 
+ * Pass { get, set } instead of a getter to create a writable computed.
+ * 
+ * @param {Function|Object} getterOrOptions - Getter function, or { get, set }
+ * @returns {Object} A ref-like object with .value property
+ * 
+ * @example
+ * const count = ref(1);
+ * const doubled = computed(() => count.value * 2);
+ * console.log(doubled.value); // 2
+ * count.value = 5;
+ * console.log(doubled.value); // 10
+ * 
+ * // Writable computed
+ * const fullName = computed({
+ *   get: () => `${first.value} ${last.value}`,
+ *   set: v => { [first.value, last.value] = v.split(' '); }
+ * });
+ * fullName.value = 'Jane Doe'; // Updates first and last
+ */
+export const computed = getterOrOptions => {
+    const isFn = typeof getterOrOptions === 'function';
+    const getter = isFn ? getterOrOptions : getterOrOptions.get;
+    const setter = isFn ? null : getterOrOptions.set;
+    
+    let value;
+    let dirty = true; // Needs recalculation?
+    const dep = new Dep('value');
+    
     // Create effect with custom scheduler
     // Scheduler marks as dirty instead of re-running immediately
     const effect = new ReactiveEffect(getter, () => { 
@@ -497,6 +1271,7 @@ export const computed = getter => {
             dep.notify(); // Notify computed's own subscribers
         } 
     });
+    effect.computed = true;
     
     return {
         _isRef: true,
@@ -512,6 +1287,15 @@ export const computed = getter => {
             return value; 
         },
         
+        /** Set the value through the setter (read-only computed warns) */
+        set value(nv) {
+            if (setter) {
+                setter(nv);
+            } else {
+                console.warn?.('Computed value is read-only. Pass { get, set } to computed() to make it writable.');
+            }
+        },
+        
         /** Expose effect for debugging */
         _effect: effect
     };
@@ -523,6 +1307,7 @@ export const computed = getter => {
 // Scopes track effects, event listeners, and child scopes for cleanup.
 // Each z-if branch and z-for item gets its own scope.
 // When a scope is cleaned up, all its effects and children are also cleaned up.
+// effectScope() exposes the same mechanism to application code.
 // =============================================================================
 
 /**
@@ -538,6 +1323,32 @@ class Scope {
         this.effects = [];      // Stop functions for effects
         this.listeners = [];    // Event listeners to remove
         this.children = [];     // Child scopes (z-if, z-for items)
+        this.parent = null;     // Parent scope (set by addChild)
+        this.app = null;        // App context (components, directives), inherited from the parent
+        this.slots = null;      // Slot content for <slot> elements (z-include, components)
+        this.hooks = null;      // Lifecycle hooks, only on app and component scopes
+        this.provides = null;   // Values from provide(), looked up by inject() in nested scopes
+        this.active = true;     // False once stopped
+    }
+    
+    /**
+     * Run a function with this scope as the current scope
+     * Effects and watchers created inside are collected by this scope.
+     * @param {Function} fn - Function to run
+     * @returns {*} The return value of fn
+     */
+    run(fn) {
+        if (!this.active) {
+            console.warn?.('Cannot run an inactive scope.');
+            return;
+        }
+        const prev = currentScope;
+        currentScope = this;
+        try {
+            return fn();
+        } finally {
+            currentScope = prev;
+        }
     }
     
     /**
@@ -553,9 +1364,10 @@ class Scope {
      * @param {Element} el - The DOM element
      * @param {string} ev - Event name
      * @param {Function} fn - Event handler
+     * @param {Object} [opts] - Listener options (capture must match to remove it)
      */
-    addListener(el, ev, fn) { 
-        this.listeners.push({ el, ev, fn }); 
+    addListener(el, ev, fn, opts) { 
+        this.listeners.push({ el, ev, fn, opts }); 
     }
     
     /**
@@ -563,6 +1375,8 @@ class Scope {
      * @param {Scope} child - The child scope
      */
     addChild(child) { 
+        child.parent = this;
+        if (!child.app) child.app = this.app;
         this.children.push(child); 
     }
     
@@ -579,135 +1393,1976 @@ class Scope {
      * Stops all effects and removes all event listeners
      */
     cleanup() {
-        // Recursively clean up children first
-        this.children.forEach(c => c.cleanup());
-        this.children.length = 0;
+        // Recursively stop children first; they can't outlive this scope's contents
+        const children = this.children;
+        this.children = [];
+        children.forEach(c => {
+            c.parent = null;
+            c.stop();
+        });
         
         // Stop all effects
         this.effects.forEach(stop => stop?.());
         this.effects.length = 0;
         
         // Remove all event listeners
-        this.listeners.forEach(({ el, ev, fn }) => el.removeEventListener(ev, fn));
+        this.listeners.forEach(({ el, ev, fn, opts }) => el.removeEventListener(ev, fn, opts));
         this.listeners.length = 0;
+        
+        // Lifecycle hooks run once; a cleaned-up scope is never mounted again
+        if (this.hooks) {
+            callHook(this, 'unmounted');
+            this.hooks = {};
+        }
+    }
+    
+    /**
+     * Stop this scope for good: clean up and detach from the parent
+     * A stopped scope can no longer run functions.
+     */
+    stop() {
+        if (!this.active) return;
+        this.cleanup();
+        this.parent?.removeChild(this);
+        this.parent = null;
+        this.active = false;
     }
 }
 
-// =============================================================================
-// EXPRESSION EVALUATION
-// =============================================================================
-// Evaluates JavaScript expressions in templates with access to scope variables.
-// Expressions are compiled to functions and cached for performance.
-// Refs are automatically unwrapped (no need for .value in templates).
-// =============================================================================
+/**
+ * Create an effect scope to group effects and dispose them together
+ * 
+ * Effects, watchers and nested scopes created inside scope.run() are
+ * collected and stopped by scope.stop(). Unless detached, the new scope
+ * is also collected by the current scope.
+ * 
+ * @param {boolean} detached - Don't attach to the current scope
+ * @returns {Scope} Scope with run(fn) and stop() methods
+ * 
+ * @example
+ * const scope = effectScope();
+ * scope.run(() => {
+ *   const double = computed(() => count.value * 2);
+ *   watch(double, v => console.log(v));
+ *   onScopeDispose(() => console.log('disposed'));
+ * });
+ * scope.stop(); // Stops the watcher and logs 'disposed'
+ */
+export const effectScope = (detached = false) => {
+    const scope = new Scope({});
+    if (!detached) currentScope?.addChild(scope);
+    return scope;
+};
+
+/**
+ * Get the currently active scope (during setup or scope.run())
+ * @returns {Scope|null} The current scope
+ */
+export const getCurrentScope = () => currentScope;
+
+/**
+ * Register a callback to run when the current scope is stopped or cleaned up
+ * @param {Function} fn - Cleanup callback
+ * 
+ * @example
+ * const useInterval = (fn, ms) => {
+ *   const id = setInterval(fn, ms);
+ *   onScopeDispose(() => clearInterval(id));
+ * };
+ */
+export const onScopeDispose = fn => {
+    if (currentScope) {
+        // Stop functions and dispose callbacks are both plain cleanup functions
+        currentScope.addEffect(fn);
+    } else {
+        console.warn?.('onScopeDispose() called without an active scope.');
+    }
+};
+
+// =============================================================================
+// LIFECYCLE HOOKS
+// =============================================================================
+// onMounted, onUnmounted, onBeforeUpdate and onUpdated are called in the setup
+// of an app or component and attach to its scope:
+// - mounted      - after the template is compiled and in the document
+// - beforeUpdate - before a flush re-renders bindings of the app/component
+// - updated      - after those bindings are re-rendered (DOM is patched)
+// - unmounted    - when the scope is cleaned up (unmount, z-if, z-for)
+// =============================================================================
+
+/** Component scopes waiting for mounted hooks while an app mounts (null otherwise) */
+let pendingMounted = null;
+
+/**
+ * Register a lifecycle hook on the app or component being set up
+ * Hooks registered in nested scopes (effectScope) go to the enclosing one.
+ * @param {string} name - Hook name
+ * @param {Function} fn - Callback
+ */
+const injectHook = (name, fn) => {
+    let s = currentScope;
+    while (s && !s.hooks) s = s.parent;
+    if (s) {
+        (s.hooks[name] ||= []).push(fn);
+    } else {
+        const api = 'on' + name[0].toUpperCase() + name.slice(1);
+        console.warn?.(`${api}() called outside of an app or component setup.`);
+    }
+};
+
+/**
+ * Run the lifecycle hooks of a scope
+ * Hooks run untracked; mounted and update hooks run inside the scope so
+ * watchers created there stop with it.
+ * @param {Scope} s - App or component scope
+ * @param {string} name - Hook name
+ */
+const callHook = (s, name) => s.hooks?.[name]?.forEach(fn => {
+    try {
+        untracked(() => name === 'unmounted' || !s.active ? fn() : s.run(fn));
+    } catch (err) {
+        console.error?.('Lifecycle hook error:', err);
+        runHooks('onError', err, 'lifecycle', { name, scope: s });
+    }
+});
+
+/**
+ * Call mounted hooks of a component scope
+ * While an app mounts they run after its compile, otherwise after the flush
+ * that rendered the component (the DOM is only patched then).
+ * @param {Scope} s - Component scope
+ */
+const queueMounted = s => {
+    if (!s.hooks.mounted) return;
+    if (pendingMounted) return void pendingMounted.push(s);
+    queueEffect({
+        id: effectId++,
+        active: true,
+        queued: false,
+        flush: 'post',
+        run: () => callHook(s, 'mounted')
+    });
+};
+
+/**
+ * Find the apps and components with update hooks whose bindings are queued
+ * @param {Array} queue - Render queue
+ * @returns {Set<Scope>} App or component scopes
+ */
+const updatingScopes = queue => {
+    const scopes = new Set();
+    for (const e of queue) {
+        let s = e.active && e.scope;
+        while (s && !s.hooks) s = s.parent;
+        if (s && (s.hooks.beforeUpdate || s.hooks.updated)) scopes.add(s);
+    }
+    return scopes;
+};
+
+/**
+ * Register a callback to run after the app or component is mounted
+ * @param {Function} fn - Callback
+ *
+ * @example
+ * createApp(() => {
+ *   const input = ref(null);
+ *   onMounted(() => input.value.focus());
+ *   return { input };
+ * }).mount('#app');
+ */
+export const onMounted = fn => injectHook('mounted', fn);
+
+/**
+ * Register a callback to run when the app or component is torn down
+ * @param {Function} fn - Callback
+ *
+ * @example
+ * const timer = setInterval(tick, 1000);
+ * onUnmounted(() => clearInterval(timer));
+ */
+export const onUnmounted = fn => injectHook('unmounted', fn);
+
+/**
+ * Register a callback to run before a flush updates the app or component DOM
+ * @param {Function} fn - Callback
+ */
+export const onBeforeUpdate = fn => injectHook('beforeUpdate', fn);
+
+/**
+ * Register a callback to run after a flush updated the app or component DOM
+ * @param {Function} fn - Callback
+ *
+ * @example
+ * onUpdated(() => list.value.scrollTop = list.value.scrollHeight);
+ */
+export const onUpdated = fn => injectHook('updated', fn);
+
+// =============================================================================
+// PROVIDE / INJECT
+// =============================================================================
+// provide(key, value) stores a value on the current scope; inject(key) looks it
+// up through the scope parent chain (z-if branches, z-for items, components,
+// partials), then in the values given to app.provide(). Keys are strings or
+// symbols. Both are used in setup functions and custom directive hooks.
+// A setup function doesn't see its own provides, only those of its ancestors.
+// =============================================================================
+
+/** Scope whose setup function is running (its provides are hidden from inject) */
+let setupScope = null;
+
+/**
+ * Run an app or component setup function in its scope
+ * @param {Scope} s - The app or component scope
+ * @param {Function} fn - Calls setup()
+ * @returns {*} The value returned by setup()
+ */
+const runSetup = (s, fn) => {
+    const prev = setupScope;
+    setupScope = s;
+    try {
+        return s.run(fn);
+    } finally {
+        setupScope = prev;
+    }
+};
+
+/**
+ * Provide a value to the current scope and everything nested in it
+ * @param {string|symbol} key - Injection key
+ * @param {*} value - Value (refs and reactive objects stay reactive)
+ *
+ * @example
+ * // In the app or a component setup
+ * provide('theme', ref('dark'));
+ */
+export const provide = (key, value) => {
+    if (!currentScope) {
+        console.warn?.('provide() called without an active scope.');
+        return;
+    }
+    (currentScope.provides ||= new Map()).set(key, value);
+};
+
+/**
+ * Get a value provided by an enclosing scope or by app.provide()
+ * @param {string|symbol} key - Injection key
+ * @param {*} [defaultValue] - Returned when nothing provides the key
+ * @returns {*} The provided value
+ *
+ * @example
+ * const theme = inject('theme', ref('light'));
+ */
+export const inject = (key, defaultValue) => {
+    if (!currentScope) {
+        console.warn?.('inject() called without an active scope.');
+        return defaultValue;
+    }
+    // Start above a scope that is being set up so it can't inject its own provides
+    const start = currentScope === setupScope ? currentScope.parent : currentScope;
+    for (let s = start; s; s = s.parent) {
+        if (s.provides?.has(key)) return s.provides.get(key);
+    }
+    const app = currentScope.app;
+    if (app?.provides.has(key)) return app.provides.get(key);
+    
+    if (defaultValue === undefined) console.warn?.(`injection "${String(key)}" not found.`);
+    return defaultValue;
+};
+
+// =============================================================================
+// EXPRESSION EVALUATION
+// =============================================================================
+// Evaluates JavaScript expressions in templates with access to scope variables.
+// Expressions are compiled to functions and cached for performance.
+// Refs are automatically unwrapped (no need for .value in templates).
+// =============================================================================
+
+/** Cache for compiled expression functions */
+const expCache = new Map();
+
+/**
+ * Evaluate a JavaScript expression with scope variables
+ * 
+ * Features:
+ * - Auto-unwraps refs (count instead of count.value)
+ * - Cached compilation for performance
+ * - Safe evaluation with try/catch
+ * - Interpreted without Function() when the app uses { csp: true }
+ *   or Function() is blocked (see EXPRESSION INTERPRETER)
+ * 
+ * @param {string} exp - The expression to evaluate
+ * @param {Object} scope - Variables available to the expression
+ * @param {Scope} [cs] - Scope of the binding (its app selects the evaluator)
+ * @returns {*} The result of the expression, or undefined on error
+ * 
+ * @example
+ * evalExp('count + 1', { count: ref(5) }) // Returns 6
+ * evalExp('items.length', { items: reactive([1,2,3]) }) // Returns 3
+ */
+const evalExp = (exp, scope, cs) => {
+    try {
+        if (useInterpreter(cs)) return interpret(exp, scope, true);
+        
+        const keys = Object.keys(scope);
+        // Cache key includes expression and available variables
+        const cacheKey = exp + '|' + keys.join(',');
+        
+        let fn = expCache.get(cacheKey);
+        if (!fn) {
+            // Compile expression to function
+            // Inner try/catch returns undefined for invalid expressions
+            fn = Function(...keys, `"use strict";try{return(${exp})}catch(e){return undefined}`);
+            
+            // Limit cache size to prevent memory leaks
+            if (expCache.size > 500) {
+                expCache.delete(expCache.keys().next().value);
+            }
+            expCache.set(cacheKey, fn);
+        }
+        
+        // Auto-unwrap refs when passing to function
+        // (refs holding objects unwrap to their reactive proxy)
+        const vals = keys.map(k => { 
+            const v = scope[k]; 
+            return v?._isRef ? v.value : v; 
+        });
+        
+        return fn(...vals);
+    } catch { 
+        return undefined; 
+    }
+};
+
+// =============================================================================
+// EXPRESSION INTERPRETER
+// =============================================================================
+// A Content-Security-Policy without 'unsafe-eval' blocks Function(), so
+// expressions are then parsed and evaluated by this interpreter instead.
+// It is used when the app is created with { csp: true }, or automatically
+// when Function() throws. Supported subset:
+// - Literals: numbers, strings, `templates ${x}`, arrays, objects, true/false/null
+// - Member access and calls: a.b, a[b], a?.b, a?.(), new Date()
+// - Operators: unary, arithmetic, comparison, logical, ??, ternary, comma
+// - Assignments (=, +=, ||=, ...) and ++/--
+// - Arrow functions, with destructuring and default parameters
+// - Statements separated by ';' and return (event handlers, arrow bodies)
+// Names resolve like in compiled expressions: local variables, then the scope
+// (refs unwrapped in templates, not in event handlers), then globals.
+// Assigning to a scope name only changes it for the current evaluation.
+// =============================================================================
+
+/** Whether Function() may be used (null until checked) */
+let canEval = null;
+
+/**
+ * Check whether expressions of a scope must be interpreted
+ * @param {Scope} [cs] - Scope of the binding
+ * @returns {boolean} True for { csp: true } apps or when Function() is blocked
+ */
+const useInterpreter = cs => {
+    if (cs?.app?.csp) return true;
+    if (canEval === null) {
+        try {
+            Function('');
+            canEval = true;
+        } catch {
+            canEval = false;
+        }
+    }
+    return !canEval;
+};
+
+/** Punctuators, longest first so the tokenizer matches greedily */
+const PUNCTUATORS = [
+    '>>>=', '...', '===', '!==', '**=', '<<=', '>>=', '>>>', '&&=', '||=', '??=',
+    '=>', '==', '!=', '<=', '>=', '&&', '||', '??', '?.', '++', '--', '**', '<<', '>>',
+    '+=', '-=', '*=', '/=', '%=', '&=', '|=', '^=',
+    '{', '}', '[', ']', '(', ')', '+', '-', '*', '/', '%', '<', '>', '=', '!', '~',
+    '?', ':', '.', ',', ';', '&', '|', '^'
+];
+
+/** Binary operator precedence (higher binds tighter) */
+const PRECEDENCE = new Map(Object.entries({
+    '??': 1, '||': 1, '&&': 2, '|': 3, '^': 4, '&': 5,
+    '==': 6, '!=': 6, '===': 6, '!==': 6,
+    '<': 7, '>': 7, '<=': 7, '>=': 7, 'in': 7, 'instanceof': 7,
+    '<<': 8, '>>': 8, '>>>': 8, '+': 9, '-': 9, '*': 10, '/': 10, '%': 10, '**': 11
+}));
+
+/** Binary operator implementations (compound assignments use them too) */
+const BINARY_OPS = {
+    '==': (a, b) => a == b, '!=': (a, b) => a != b, 
+    '===': (a, b) => a === b, '!==': (a, b) => a !== b,
+    '<': (a, b) => a < b, '>': (a, b) => a > b, '<=': (a, b) => a <= b, '>=': (a, b) => a >= b,
+    'in': (a, b) => a in b, 'instanceof': (a, b) => a instanceof b,
+    '<<': (a, b) => a << b, '>>': (a, b) => a >> b, '>>>': (a, b) => a >>> b,
+    '+': (a, b) => a + b, '-': (a, b) => a - b, '*': (a, b) => a * b,
+    '/': (a, b) => a / b, '%': (a, b) => a % b, '**': (a, b) => a ** b,
+    '&': (a, b) => a & b, '|': (a, b) => a | b, '^': (a, b) => a ^ b
+};
+
+/** Operators and keywords by role; LITERALS are keywords with a fixed value */
+const ASSIGN_OPS = new Set([
+    '=', '+=', '-=', '*=', '/=', '%=', '**=', '<<=', '>>=', '>>>=', '&=', '|=', '^=', '&&=', '||=', '??='
+]);
+const UNARY_OPS = new Set(['!', '-', '+', '~', 'typeof', 'void', 'delete']);
+const LITERALS = new Map([['true', true], ['false', false], ['null', null], ['this', undefined]]);
+const ESCAPES = { n: '\n', t: '\t', r: '\r', b: '\b', f: '\f', v: '\v', 0: '\0' };
+
+/**
+ * Read an escape sequence in a string or template literal
+ * @param {string} src - Source code
+ * @param {number} i - Index after the backslash
+ * @returns {Array} [text, index after the sequence]
+ */
+const readEscape = (src, i) => {
+    const c = src[i];
+    if (c === 'x') return [String.fromCharCode(parseInt(src.substr(i + 1, 2), 16)), i + 3];
+    if (c === 'u' && src[i + 1] === '{') {
+        const end = src.indexOf('}', i);
+        return [String.fromCodePoint(parseInt(src.slice(i + 2, end), 16)), end + 1];
+    }
+    if (c === 'u') return [String.fromCharCode(parseInt(src.substr(i + 1, 4), 16)), i + 5];
+    if (c === '\n') return ['', i + 1];
+    return [ESCAPES[c] ?? c, i + 1];
+};
+
+/**
+ * Read a template literal
+ * @param {string} src - Source code
+ * @param {number} start - Index of the opening backtick
+ * @returns {Object} { quasis, exps, end } with the source of each ${} expression
+ */
+const readTemplate = (src, start) => {
+    const quasis = [], exps = [];
+    let text = '', i = start + 1;
+    while (i < src.length && src[i] !== '`') {
+        if (src[i] === '\\') {
+            const [t, next] = readEscape(src, i + 1);
+            text += t;
+            i = next;
+        } else if (src[i] === '$' && src[i + 1] === '{') {
+            // Find the matching brace, skipping nested strings and templates
+            let depth = 0, j = i + 2;
+            for (; j < src.length; j++) {
+                const c = src[j];
+                if (c === '`') {
+                    j = readTemplate(src, j).end - 1;
+                } else if (c === '"' || c === "'") {
+                    while (++j < src.length && src[j] !== c) {
+                        if (src[j] === '\\') j++;
+                    }
+                } else if (c === '{') {
+                    depth++;
+                } else if (c === '}' && !depth--) {
+                    break;
+                }
+            }
+            quasis.push(text);
+            exps.push(src.slice(i + 2, j));
+            text = '';
+            i = j + 1;
+        } else {
+            text += src[i++];
+        }
+    }
+    if (i >= src.length) throw new SyntaxError('Unterminated template literal');
+    quasis.push(text);
+    return { quasis, exps, end: i + 1 };
+};
+
+/**
+ * Split source code into tokens
+ * @param {string} src - Source code
+ * @returns {Array} Tokens { type: 'num'|'str'|'tpl'|'name'|'op', value }
+ */
+const tokenize = src => {
+    const tokens = [];
+    let i = 0;
+    while (i < src.length) {
+        const c = src[i];
+        const rest = src.slice(i);
+        let m;
+        if (/\s/.test(c)) {
+            i++;
+        } else if ((m = rest.match(/^(?:0[xX][\da-fA-F]+|0[bB][01]+|0[oO][0-7]+|(?:\d+\.?\d*|\.\d+)(?:[eE][+-]?\d+)?)/))) {
+            tokens.push({ type: 'num', value: Number(m[0]) });
+            i += m[0].length;
+        } else if ((m = rest.match(/^[A-Za-z_$][\w$]*/))) {
+            tokens.push({ type: 'name', value: m[0] });
+            i += m[0].length;
+        } else if (c === '"' || c === "'") {
+            let value = '';
+            for (i++; i < src.length && src[i] !== c;) {
+                if (src[i] === '\\') {
+                    const [text, next] = readEscape(src, i + 1);
+                    value += text;
+                    i = next;
+                } else {
+                    value += src[i++];
+                }
+            }
+            if (i++ >= src.length) throw new SyntaxError('Unterminated string literal');
+            tokens.push({ type: 'str', value });
+        } else if (c === '`') {
+            const { quasis, exps, end } = readTemplate(src, i);
+            tokens.push({ type: 'tpl', value: '`', quasis, exps });
+            i = end;
+        } else {
+            // "a?.5:1" is a ternary, not optional chaining
+            let op = PUNCTUATORS.find(p => src.startsWith(p, i));
+            if (op === '?.' && /\d/.test(src[i + 2])) op = '?';
+            if (!op) throw new SyntaxError(`Unexpected character '${c}'`);
+            tokens.push({ type: 'op', value: op });
+            i += op.length;
+        }
+    }
+    return tokens;
+};
+
+/**
+ * Parse source code into a syntax tree
+ * @param {string} src - Expression, or statements separated by ';'
+ * @returns {Array} Statement nodes
+ * @throws {SyntaxError} On code outside the supported subset
+ */
+const parse = src => {
+    const tokens = tokenize(src);
+    let pos = 0;
+    
+    const peek = (o = 0) => tokens[pos + o];
+    // Strings never match punctuators or keywords
+    const is = (value, o = 0) => {
+        const t = tokens[pos + o];
+        return !!t && (t.type === 'op' || t.type === 'name') && t.value === value;
+    };
+    const fail = () => {
+        const t = peek();
+        throw new SyntaxError(`Unexpected ${t ? `token '${t.value}'` : 'end of input'} in: ${src}`);
+    };
+    const eat = value => {
+        if (!is(value)) return false;
+        pos++;
+        return true;
+    };
+    const expect = value => eat(value) || fail();
+    const end = () => pos >= tokens.length;
+    
+    const propName = () => {
+        const t = peek();
+        if (t?.type !== 'name') fail();
+        pos++;
+        return t.value;
+    };
+    
+    // Arguments and array items, with ...spread
+    const list = close => {
+        const items = [];
+        while (!eat(close)) {
+            if (is(',') && close === ']') items.push(null);
+            else items.push(eat('...') ? { t: 'spread', a: parseAssign() } : parseAssign());
+            if (!is(close)) expect(',');
+        }
+        return items;
+    };
+    
+    const parseObject = () => {
+        const props = [];
+        while (!eat('}')) {
+            if (eat('...')) {
+                props.push({ t: 'spread', a: parseAssign() });
+            } else {
+                const t = peek();
+                let k, c = false;
+                if (eat('[')) {
+                    k = parseAssign();
+                    c = true;
+                    expect(']');
+                } else if (t && (t.type === 'name' || t.type === 'str' || t.type === 'num')) {
+                    k = String(t.value);
+                    pos++;
+                } else {
+                    fail();
+                }
+                if (eat(':')) {
+                    props.push({ k, c, v: parseAssign() });
+                } else if (t.type === 'name' && !c) {
+                    // Shorthand { a }, or { a = 1 } in a destructuring pattern
+                    const id = { t: 'id', n: k };
+                    props.push({ k, c, v: eat('=') ? { t: 'asg', op: '=', l: id, r: parseAssign() } : id });
+                } else {
+                    fail();
+                }
+            }
+            if (!is('}')) expect(',');
+        }
+        return { t: 'obj', p: props };
+    };
+    
+    const parsePrimary = () => {
+        const t = peek();
+        if (!t) fail();
+        pos++;
+        if (t.type === 'num' || t.type === 'str') return { t: 'lit', v: t.value };
+        if (t.type === 'tpl') return { t: 'tpl', q: t.quasis, e: t.exps.map(parse) };
+        if (t.type === 'name') {
+            if (LITERALS.has(t.value)) return { t: 'lit', v: LITERALS.get(t.value) };
+            return { t: 'id', n: t.value };
+        }
+        if (t.value === '(') {
+            const e = parseSeq();
+            expect(')');
+            return e;
+        }
+        if (t.value === '[') return { t: 'arr', e: list(']') };
+        if (t.value === '{') return parseObject();
+        pos--;
+        return fail();
+    };
+    
+    // new X(...), where X is a name or member access
+    const parseNew = () => {
+        let f = eat('new') ? parseNew() : parsePrimary();
+        for (;;) {
+            if (eat('.')) f = { t: 'mem', o: f, p: propName(), c: false };
+            else if (eat('[')) { f = { t: 'mem', o: f, p: parseSeq(), c: true }; expect(']'); }
+            else break;
+        }
+        return { t: 'new', f, a: eat('(') ? list(')') : [] };
+    };
+    
+    // Member access and calls; an optional chain is wrapped so it can short-circuit
+    const parseCall = () => {
+        let node = eat('new') ? parseNew() : parsePrimary();
+        let optional = false;
+        for (;;) {
+            if (eat('.')) {
+                node = { t: 'mem', o: node, p: propName(), c: false };
+            } else if (eat('?.')) {
+                optional = true;
+                if (eat('(')) node = { t: 'call', f: node, a: list(')'), opt: true };
+                else if (eat('[')) { node = { t: 'mem', o: node, p: parseSeq(), c: true, opt: true }; expect(']'); }
+                else node = { t: 'mem', o: node, p: propName(), c: false, opt: true };
+            } else if (eat('[')) {
+                node = { t: 'mem', o: node, p: parseSeq(), c: true };
+                expect(']');
+            } else if (eat('(')) {
+                node = { t: 'call', f: node, a: list(')') };
+            } else {
+                break;
+            }
+        }
+        return optional ? { t: 'chain', e: node } : node;
+    };
+    
+    const parseUnary = () => {
+        const t = peek();
+        if (t && t.type !== 'str' && UNARY_OPS.has(t.value)) {
+            pos++;
+            return { t: 'un', op: t.value, a: parseUnary() };
+        }
+        if (is('++') || is('--')) {
+            pos++;
+            return { t: 'upd', op: t.value, pre: true, a: parseUnary() };
+        }
+        const a = parseCall();
+        if (is('++') || is('--')) return { t: 'upd', op: tokens[pos++].value, pre: false, a };
+        return a;
+    };
+    
+    const parseBinary = min => {
+        let left = parseUnary();
+        for (;;) {
+            const t = peek();
+            const prec = t && t.type !== 'str' && PRECEDENCE.get(t.value);
+            if (!prec || prec < min) return left;
+            pos++;
+            // ** is right-associative
+            const right = parseBinary(t.value === '**' ? prec : prec + 1);
+            const logical = t.value === '&&' || t.value === '||' || t.value === '??';
+            left = { t: logical ? 'log' : 'bin', op: t.value, l: left, r: right };
+        }
+    };
+    
+    const parseArrow = params => {
+        expect('=>');
+        if (!eat('{')) return { t: 'arrow', p: params, b: parseAssign() };
+        const body = [];
+        while (!eat('}')) {
+            if (!eat(';')) body.push(parseStatement());
+        }
+        return { t: 'arrow', p: params, b: body, block: true };
+    };
+    
+    // Index of the ')' matching the '(' at index i, or -1
+    const closingParen = i => {
+        for (let depth = 0; i < tokens.length; i++) {
+            if (tokens[i].type !== 'op') continue;
+            if (tokens[i].value === '(') depth++;
+            else if (tokens[i].value === ')' && !--depth) return i;
+        }
+        return -1;
+    };
+    
+    const parseAssign = () => {
+        // Arrow functions: x => ..., (a, { b }, ...c) => ...
+        if (peek()?.type === 'name' && is('=>', 1)) {
+            return parseArrow([{ t: 'id', n: tokens[pos++].value }]);
+        }
+        if (is('(')) {
+            const close = closingParen(pos);
+            if (close > -1 && is('=>', close - pos + 1)) {
+                pos++;
+                const params = [];
+                while (!eat(')')) {
+                    params.push(eat('...') ? { t: 'rest', a: parseAssign() } : parseAssign());
+                    if (!is(')')) expect(',');
+                }
+                return parseArrow(params);
+            }
+        }
+        
+        const left = parseBinary(1);
+        if (eat('?')) {
+            const y = parseAssign();
+            expect(':');
+            return { t: 'cond', c: left, y, n: parseAssign() };
+        }
+        const t = peek();
+        if (t?.type === 'op' && ASSIGN_OPS.has(t.value)) {
+            if (left.t !== 'id' && left.t !== 'mem') fail();
+            pos++;
+            return { t: 'asg', op: t.value, l: left, r: parseAssign() };
+        }
+        return left;
+    };
+    
+    const parseSeq = () => {
+        const e = [parseAssign()];
+        while (eat(',')) e.push(parseAssign());
+        return e.length > 1 ? { t: 'seq', e } : e[0];
+    };
+    
+    const parseStatement = () => {
+        if (!eat('return')) return parseSeq();
+        return { t: 'ret', a: end() || is(';') || is('}') ? null : parseSeq() };
+    };
+    
+    const statements = [];
+    while (!end()) {
+        if (eat(';')) continue;
+        statements.push(parseStatement());
+        if (!end() && !is(';')) fail();
+    }
+    return statements;
+};
+
+/** Cache for parsed expressions */
+const astCache = new Map();
+
+/**
+ * Parse source code, cached
+ * @param {string} src - Source code
+ * @returns {Array} Statement nodes
+ */
+const parseCached = src => {
+    let ast = astCache.get(src);
+    if (!ast) {
+        ast = parse(src);
+        if (astCache.size > 500) astCache.delete(astCache.keys().next().value);
+        astCache.set(src, ast);
+    }
+    return ast;
+};
+
+/** Result of an optional chain that short-circuited */
+const SHORT = Symbol('short');
+
+/**
+ * Check whether a name can be read in an environment
+ * @param {string} name - Variable name
+ * @param {Object} env - { scope, unwrap, locals, root }
+ * @returns {boolean}
+ */
+const isDeclared = (name, env) => name in env.locals || has(env.scope, name) || name in globalThis;
+
+/**
+ * Read a variable: locals, then scope, then globals
+ * @param {string} name - Variable name
+ * @param {Object} env - Evaluation environment
+ * @returns {*} The value
+ * @throws {ReferenceError} If the name is not defined
+ */
+const lookup = (name, env) => {
+    if (name in env.locals) return env.locals[name];
+    if (has(env.scope, name)) {
+        const v = env.scope[name];
+        return env.unwrap && v?._isRef ? v.value : v;
+    }
+    if (name in globalThis) return globalThis[name];
+    throw new ReferenceError(`${name} is not defined`);
+};
+
+/**
+ * Write a variable
+ * Scope names are shadowed for the rest of the evaluation, like the
+ * parameters of a compiled expression.
+ * @param {string} name - Variable name
+ * @param {*} value - New value
+ * @param {Object} env - Evaluation environment
+ */
+const assignVar = (name, value, env) => {
+    for (let l = env.locals; l; l = Object.getPrototypeOf(l)) {
+        if (has(l, name)) return l[name] = value;
+    }
+    if (has(env.scope, name)) return env.root[name] = value;
+    if (name in globalThis) return globalThis[name] = value;
+    throw new ReferenceError(`${name} is not defined`);
+};
+
+/** Property key of a member node (computed a[b] or static a.b) */
+const memberKey = (node, env) => node.c ? evalNode(node.p, env) : node.p;
+
+/**
+ * Resolve an assignment target once
+ * @param {Object} node - Identifier or member node
+ * @param {Object} env - Evaluation environment
+ * @returns {Object} { get, set }
+ */
+const reference = (node, env) => {
+    if (node.t === 'id') {
+        return { get: () => lookup(node.n, env), set: v => assignVar(node.n, v, env) };
+    }
+    const obj = evalNode(node.o, env);
+    const key = memberKey(node, env);
+    return { get: () => obj[key], set: v => obj[key] = v };
+};
+
+/**
+ * Evaluate a list of arguments or array items, expanding ...spread
+ * @param {Array} items - Nodes (null for array holes)
+ * @param {Object} env - Evaluation environment
+ * @returns {Array} Values
+ */
+const evalList = (items, env) => {
+    const out = [];
+    for (const item of items) {
+        if (!item) out.length++;
+        else if (item.t === 'spread') out.push(...evalNode(item.a, env));
+        else out.push(evalNode(item, env));
+    }
+    return out;
+};
+
+/**
+ * Bind a destructuring pattern (or a plain name) to a value as local variables
+ * @param {Object} node - Identifier, array, object or default (a = 1) node
+ * @param {*} value - Value to destructure
+ * @param {Object} env - Environment whose locals receive the names
+ */
+const bindPattern = (node, value, env) => {
+    if (node.t === 'id') {
+        env.locals[node.n] = value;
+    } else if (node.t === 'asg' && node.op === '=') {
+        bindPattern(node.l, value === undefined ? evalNode(node.r, env) : value, env);
+    } else if (node.t === 'arr') {
+        const items = [...value];
+        node.e.forEach((el, i) => {
+            if (el) el.t === 'spread' ? bindPattern(el.a, items.slice(i), env) : bindPattern(el, items[i], env);
+        });
+    } else if (node.t === 'obj') {
+        if (value == null) throw new TypeError(`Cannot destructure '${value}'`);
+        const used = new Set();
+        for (const prop of node.p) {
+            if (prop.t === 'spread') {
+                const rest = {};
+                for (const k of Object.keys(value)) if (!used.has(k)) rest[k] = value[k];
+                bindPattern(prop.a, rest, env);
+            } else {
+                const key = prop.c ? evalNode(prop.k, env) : prop.k;
+                used.add(String(key));
+                bindPattern(prop.v, value[key], env);
+            }
+        }
+    } else {
+        throw new SyntaxError('Invalid destructuring pattern');
+    }
+};
+
+/**
+ * Run statements; a return statement ends them
+ * @param {Array} statements - Statement nodes
+ * @param {Object} env - Evaluation environment
+ * @returns {*} The returned value, or the value of the last statement
+ */
+const evalStatements = (statements, env) => {
+    let value;
+    for (const node of statements) {
+        if (node.t === 'ret') return node.a ? evalNode(node.a, env) : undefined;
+        value = evalNode(node, env);
+    }
+    return value;
+};
+
+/**
+ * Evaluate a syntax tree node
+ * @param {Object} node - Node from parse()
+ * @param {Object} env - { scope, unwrap, locals, root }
+ * @returns {*} The value (SHORT inside a short-circuited optional chain)
+ */
+const evalNode = (node, env) => {
+    switch (node.t) {
+        case 'lit': return node.v;
+        case 'id': return lookup(node.n, env);
+        case 'tpl': return node.q.reduce((s, q, i) => 
+            s + q + (i < node.e.length ? `${evalStatements(node.e[i], env)}` : ''), '');
+        case 'arr': return evalList(node.e, env);
+        case 'obj': {
+            const obj = {};
+            for (const prop of node.p) {
+                if (prop.t === 'spread') Object.assign(obj, evalNode(prop.a, env));
+                else obj[prop.c ? evalNode(prop.k, env) : prop.k] = evalNode(prop.v, env);
+            }
+            return obj;
+        }
+        case 'mem': {
+            const obj = evalNode(node.o, env);
+            if (obj === SHORT || (node.opt && obj == null)) return SHORT;
+            return obj[memberKey(node, env)];
+        }
+        case 'call': {
+            let fn, self;
+            if (node.f.t === 'mem') {
+                // Methods are called with their object as this
+                self = evalNode(node.f.o, env);
+                if (self === SHORT || (node.f.opt && self == null)) return SHORT;
+                fn = self[memberKey(node.f, env)];
+            } else {
+                fn = evalNode(node.f, env);
+                if (fn === SHORT) return SHORT;
+            }
+            if (node.opt && fn == null) return SHORT;
+            if (typeof fn !== 'function') throw new TypeError('Expression is not a function');
+            return fn.apply(self, evalList(node.a, env));
+        }
+        case 'chain': {
+            const v = evalNode(node.e, env);
+            return v === SHORT ? undefined : v;
+        }
+        case 'new': return Reflect.construct(evalNode(node.f, env), evalList(node.a, env));
+        case 'un': {
+            if (node.op === 'typeof' && node.a.t === 'id' && !isDeclared(node.a.n, env)) return 'undefined';
+            if (node.op === 'delete') {
+                return node.a.t === 'mem' ? delete evalNode(node.a.o, env)[memberKey(node.a, env)] : true;
+            }
+            const v = evalNode(node.a, env);
+            switch (node.op) {
+                case '!': return !v;
+                case '-': return -v;
+                case '+': return +v;
+                case '~': return ~v;
+                case 'typeof': return typeof v;
+                default: return undefined;
+            }
+        }
+        case 'upd': {
+            const target = reference(node.a, env);
+            const old = +target.get();
+            const v = node.op === '++' ? old + 1 : old - 1;
+            target.set(v);
+            return node.pre ? v : old;
+        }
+        case 'bin': return BINARY_OPS[node.op](evalNode(node.l, env), evalNode(node.r, env));
+        case 'log': {
+            const l = evalNode(node.l, env);
+            if (node.op === '&&') return l && evalNode(node.r, env);
+            if (node.op === '||') return l || evalNode(node.r, env);
+            return l ?? evalNode(node.r, env);
+        }
+        case 'cond': return evalNode(node.c, env) ? evalNode(node.y, env) : evalNode(node.n, env);
+        case 'seq': return node.e.reduce((_, e) => evalNode(e, env), undefined);
+        case 'asg': {
+            const target = reference(node.l, env);
+            const { op } = node;
+            const logical = op === '&&=' || op === '||=' || op === '??=';
+            if (logical) {
+                const cur = target.get();
+                if (op === '&&=' ? !cur : op === '||=' ? cur : cur != null) return cur;
+            }
+            const v = op === '=' || logical 
+                ? evalNode(node.r, env) 
+                : BINARY_OPS[op.slice(0, -1)](target.get(), evalNode(node.r, env));
+            target.set(v);
+            return v;
+        }
+        case 'arrow': return (...args) => {
+            const inner = { ...env, locals: Object.create(env.locals) };
+            node.p.forEach((p, i) => p.t === 'rest' 
+                ? bindPattern(p.a, args.slice(i), inner) 
+                : bindPattern(p, args[i], inner));
+            return node.block ? evalStatements(node.b, inner) : evalNode(node.b, inner);
+        };
+        default: throw new SyntaxError(`Unsupported expression: ${node.t}`);
+    }
+};
+
+/**
+ * Evaluate code with the interpreter (no Function(), CSP-safe)
+ * 
+ * @param {string} code - Expression, or statements separated by ';'
+ * @param {Object} scope - Variables available to the code
+ * @param {boolean} unwrap - Read refs in scope as their value (templates)
+ *   rather than as refs (event handlers)
+ * @param {Object} [vars] - Extra local variables, e.g. { e: event }
+ * @returns {*} The value of the last statement
+ * @throws {SyntaxError|Error} On unsupported syntax or errors while evaluating
+ * 
+ * @example
+ * interpret('items.filter(i => i.done).length', { items }, true)
+ */
+const interpret = (code, scope, unwrap, vars) => {
+    const locals = Object.assign(Object.create(null), vars);
+    return evalStatements(parseCached(code), { scope, unwrap, locals, root: locals });
+};
+
+// =============================================================================
+// HOOK SYSTEM
+// =============================================================================
+// Simple plugin hook system for extending compiler behavior.
+// Hooks: beforeCompile, afterCompile, onError
+// =============================================================================
+
+/** Registered hooks */
+const hooks = {};
+
+/**
+ * Register a hook function
+ * 
+ * Available hooks:
+ * - beforeCompile(el, scope, cs) - Called before compiling an element
+ * - afterCompile(el, scope, cs) - Called after compiling an element
+ * - onError(err, type, context) - Called when an error occurs
+ *   (type: 'effect', 'recursion', 'event' or 'compile'; for 'recursion'
+ *   context is { effect, dep } with the looping effect and the dep that triggered it)
+ * 
+ * @param {string} name - Hook name
+ * @param {Function} fn - Hook function
+ * 
+ * @example
+ * onHook('beforeCompile', (el, scope) => {
+ *   console.log('Compiling:', el.tagName);
+ * });
+ */
+export const onHook = (name, fn) => (hooks[name] = hooks[name] || []).push(fn);
+
+/**
+ * Run all registered hooks for a given name
+ * @param {string} name - Hook name
+ * @param {...*} args - Arguments to pass to hooks
+ */
+const runHooks = (name, ...args) => {
+    const list = hooks[name];
+    if (!list) return;
+    for (const fn of list) {
+        try { if (fn(...args) === false) return false; }
+        catch (err) { console.error?.(`Hook error (${name}):`, err); }
+    }
+};
+
+// =============================================================================
+// COMPONENTS
+// =============================================================================
+// Components are registered on an app with app.component(name, definition).
+// A registered tag found while compiling is expanded in place: the host element
+// stays in the DOM, its content is replaced by the component template, and the
+// template is compiled against the component's own Scope.
+//
+// Props declared by the component are read from the host's attributes
+// (:prop="exp" is reactive, prop="text" is static). Declared events (@event)
+// become listeners for emit(); any other attribute is handled by the normal
+// directives on the host element, against the parent scope.
+// =============================================================================
+
+/**
+ * Define a component
+ * Returns the definition unchanged; useful for readability and editor hints.
+ * 
+ * @param {Object} def - Component definition
+ * @param {string} def.template - Template HTML, or a '#id' selector of a <template>
+ * @param {string[]|Object} [def.props] - Prop names, or { name: Type | { type, default } }
+ * @param {string[]} [def.emits] - Names of emitted events
+ * @param {Function} [def.setup] - setup(props, { emit }) returning template data
+ * @returns {Object} The same definition
+ * 
+ * @example
+ * app.component('user-card', defineComponent({
+ *   template: '<div @click="$emit(\'select\', user)">{{ user.name }}</div>',
+ *   props: ['user'],
+ *   emits: ['select']
+ * }));
+ */
+export const defineComponent = def => def;
+
+/** Convert a component name to its tag name: UserCard -> user-card */
+const hyphenate = name => name.replace(/\B([A-Z])/g, '-$1').toLowerCase();
+
+/** Normalize prop and event names so userName, user-name and username all match */
+const normalizeName = name => name.replace(/-/g, '').toLowerCase();
+
+/** Parsed <template> per component definition */
+const templateCache = new WeakMap();
+
+/**
+ * Get a fresh copy of a component's template content
+ * @param {Object} def - Component definition
+ * @returns {DocumentFragment} Cloned template content
+ */
+const resolveTemplate = def => {
+    let tpl = templateCache.get(def);
+    if (!tpl) {
+        const src = def.template || '';
+        const found = src[0] === '#' ? document.querySelector(src) : null;
+        if (src[0] === '#' && !found) console.warn?.('Component template not found:', src);
+        
+        if (found?.tagName === 'TEMPLATE') {
+            tpl = found;
+        } else {
+            tpl = document.createElement('template');
+            tpl.innerHTML = found ? found.innerHTML : src[0] === '#' ? '' : src;
+        }
+        templateCache.set(def, tpl);
+    }
+    return tpl.content.cloneNode(true);
+};
+
+/**
+ * Normalize a props declaration to { name: { type, default } }
+ * @param {string[]|Object} props - Array of names or object of options
+ * @returns {Object} Normalized options
+ */
+const normalizeProps = props => {
+    const res = {};
+    if (Array.isArray(props)) {
+        props.forEach(k => res[k] = {});
+    } else {
+        for (const k in props) res[k] = isObj(props[k]) ? props[k] : { type: props[k] };
+    }
+    return res;
+};
+
+/**
+ * Get the initial value of a prop
+ * Function defaults are factories (except for Function props); Boolean props default to false.
+ */
+const propDefault = opt => {
+    if (!has(opt, 'default')) return opt.type === Boolean ? false : undefined;
+    return typeof opt.default === 'function' && opt.type !== Function ? opt.default() : opt.default;
+};
+
+/** Convert a static attribute value for Boolean and Number props */
+const castProp = (opt, v) => 
+    opt.type === Boolean ? v !== 'false' : opt.type === Number ? Number(v) : v;
+
+/**
+ * Set up a component instance on its host element
+ * Reads props and listeners from the host attributes, runs setup() in a new
+ * child Scope and replaces the host content with the component template
+ * (the previous content is kept as slot content).
+ * 
+ * @param {Element} el - Host element
+ * @param {Object} def - Component definition
+ * @param {Object} scope - Parent data scope (for prop and listener expressions)
+ * @param {Scope} cs - Parent scope
+ * @returns {Scope} The component scope (its template is not compiled yet)
+ */
+const setupComponent = (el, def, scope, cs) => {
+    const propOpts = normalizeProps(def.props);
+    const propNames = new Map(Object.keys(propOpts).map(k => [normalizeName(k), k]));
+    const emits = def.emits && new Set(def.emits.map(normalizeName));
+    const handlers = {};
+    
+    const props = shallowReactive({});
+    for (const k in propOpts) props[k] = propDefault(propOpts[k]);
+    
+    const s = new Scope({});
+    s.hooks = {};
+    cs.addChild(s);
+    
+    for (const { name, value } of [...el.attributes]) {
+        if (name.startsWith('@') || name.startsWith('z-on:')) {
+            const ev = normalizeName((name[0] === '@' ? name.slice(1) : name.slice(5)).split('.')[0]);
+            handlers[ev] = createHandler(name, value, scope, cs);
+            // Undeclared events also stay on the host as native listeners
+            if (emits?.has(ev)) el.removeAttribute(name);
+            continue;
+        }
+        
+        const key = propNames.get(normalizeName(name[0] === ':' ? name.slice(1) : name));
+        if (!key) continue;
+        el.removeAttribute(name);
+        
+        if (name[0] === ':') {
+            // Prop expressions are evaluated in the parent scope
+            renderEffect(s, () => { props[key] = evalExp(value, scope, cs); });
+        } else {
+            props[key] = castProp(propOpts[key], value);
+        }
+    }
+    
+    const emit = (event, ...args) => {
+        const ev = normalizeName(event);
+        if (emits && !emits.has(ev)) {
+            console.warn?.(`Component emitted undeclared event "${event}".`);
+        }
+        handlers[ev]?.(...args);
+    };
+    
+    // setup() runs inside the component scope so its watchers stop with it,
+    // untracked so reads in setup don't subscribe an enclosing z-if/z-for effect
+    const state = untracked(() => runSetup(s, () => def.setup?.(props, { emit }))) || {};
+    s.data = { ...state, $props: props, $emit: emit, $refs: reactive({}) };
+    // Props are accessors rather than refs, so inline handlers get plain values
+    for (const k in propOpts) {
+        if (has(state, k)) continue;
+        Object.defineProperty(s.data, k, {
+            get: () => props[k],
+            set: v => { props[k] = v; },
+            enumerable: true,
+            configurable: true
+        });
+    }
+    
+    // The host's children become slot content for the template
+    s.slots = createSlots(el, scope, cs);
+    el.replaceChildren(resolveTemplate(def));
+    return s;
+};
+
+// =============================================================================
+// PARTIALS AND SLOTS
+// =============================================================================
+// z-include="'#id'" clones a <template> into its host element and compiles it
+// in a child Scope that sees the host scope plus the :with="{ ... }" bindings.
+//
+// The host element's children are projected into <slot> placeholders of the
+// partial (or component template): children with slot="name" go to
+// <slot name="name">, the rest to the default <slot>. Slot content is compiled
+// against the host's scope; a <slot> without content renders its fallback.
+// =============================================================================
+
+/**
+ * Take a host element's children as slot content
+ * 
+ * @param {Element} el - Host element (emptied)
+ * @param {Object} scope - Host data scope (slot content is compiled against it)
+ * @param {Scope} cs - Host scope
+ * @returns {Object} { nodes: { name: Node[] }, scope, outer } where outer are
+ *   the slots visible at the host (for <slot> elements inside slot content)
+ */
+const createSlots = (el, scope, cs) => {
+    const nodes = {};
+    for (const node of [...el.childNodes]) {
+        node.remove();
+        const name = (node.nodeType === 1 && node.getAttribute('slot')) || 'default';
+        if (node.nodeType === 1) node.removeAttribute('slot');
+        
+        // <template slot="name"> contributes its content
+        const list = nodes[name] || (nodes[name] = []);
+        node.tagName === 'TEMPLATE' ? list.push(...node.content.childNodes) : list.push(node);
+    }
+    
+    // Whitespace-only default content keeps the slot's fallback
+    if (nodes.default?.every(n => n.nodeType !== 1 && !n.nodeValue.trim())) delete nodes.default;
+    
+    return { nodes, scope, outer: findSlots(cs) };
+};
+
+/**
+ * Find the slot content available to a scope
+ * @param {Scope} cs - Scope to start from
+ * @returns {Object|undefined} Slots from the nearest partial or component
+ */
+const findSlots = cs => {
+    while (cs && !cs.slots) cs = cs.parent;
+    return cs?.slots;
+};
+
+/**
+ * Set up z-include on a host element
+ * The template expression is reactive: when it changes, the partial is re-rendered.
+ * 
+ * @param {Element} el - Host element with z-include (and optional :with)
+ * @param {Object} scope - Host data scope
+ * @param {Scope} cs - Host scope
+ */
+const setupInclude = (el, scope, cs) => {
+    const exp = el.getAttribute('z-include');
+    const withExp = el.getAttribute(':with');
+    el.removeAttribute('z-include');
+    el.removeAttribute(':with');
+    
+    let data = extendScope(scope);
+    if (withExp) {
+        // :with is evaluated once per change; its keys and values are read through
+        // the computed object, so partials update in place when it changes
+        const bindings = computed(() => Object(evalExp(withExp, scope, cs)));
+        data = overlayScope(data, () => bindings.value);
+    }
+    
+    const slots = createSlots(el, scope, cs);
+    let s = null;
+    
+    renderEffect(cs, () => {
+        const src = evalExp(exp, scope, cs);
+        
+        untracked(() => {
+            if (s) {
+                s.cleanup();
+                cs.removeChild(s);
+                s = null;
+            }
+            el.replaceChildren();
+            
+            const tpl = src ? document.querySelector(src) : null;
+            if (!tpl) {
+                if (src) console.warn?.('z-include template not found:', src);
+                return;
+            }
+            
+            s = new Scope(data);
+            s.slots = slots;
+            cs.addChild(s);
+            el.append(...(tpl.content || tpl).cloneNode(true).childNodes);
+            [...el.childNodes].forEach(child => compile(child, data, s));
+        });
+    });
+};
+
+// =============================================================================
+// CUSTOM DIRECTIVES
+// =============================================================================
+// Directives are registered on an app with app.directive(name, hooks) and used
+// as z-name:arg.modifier="expression". Hooks receive (el, binding) where
+// binding is { value, oldValue, arg, modifiers }:
+// - mounted   - after the element is compiled and inserted (post flush)
+// - updated   - after the value changed and the DOM was patched (post flush)
+// - unmounted - when the element's scope is cleaned up
+// =============================================================================
+
+/** Names of the built-in z- directives, which custom directives can't replace */
+const BUILTIN_DIRECTIVES = new Set(['if', 'else-if', 'else', 'for', 'key', 'text', 'html', 'show', 
+    'model', 'on', 'ref', 'include', 'transition']);
+
+/**
+ * Find a registered directive for an attribute name
+ * 
+ * @param {string} name - Attribute name, e.g. 'z-tooltip:top.delay'
+ * @param {Scope} cs - Current scope (directives come from its app)
+ * @returns {Object|null} { dir, arg, modifiers } or null if not registered
+ */
+const resolveDirective = (name, cs) => {
+    const m = cs.app && name.match(/^z-([^:.]+)(?::([^.]+))?(.*)$/);
+    const dir = m && cs.app.directives.get(m[1]);
+    if (!dir) return null;
+    
+    const modifiers = {};
+    m[3].split('.').filter(Boolean).forEach(mod => modifiers[mod] = true);
+    return { dir, arg: m[2], modifiers };
+};
+
+/**
+ * Bind a custom directive to an element
+ * The value is evaluated in a render effect; hooks run after the flush,
+ * untracked and inside the element's scope.
+ * 
+ * @param {Element} el - Element with the directive
+ * @param {Object} parsed - Result of resolveDirective()
+ * @param {string} exp - Directive expression (may be empty)
+ * @param {Object} scope - Data scope
+ * @param {Scope} cs - Scope that owns the directive
+ */
+const setupDirective = (el, { dir, arg, modifiers }, exp, scope, cs) => {
+    const binding = { value: undefined, oldValue: undefined, arg, modifiers };
+    let value, mounted = false;
+    
+    // One post-flush job per binding: mounted the first time, updated afterwards
+    const job = {
+        id: effectId++,
+        active: true,
+        queued: false,
+        flush: 'post',
+        run() {
+            if (!job.active) return;
+            binding.oldValue = binding.value;
+            binding.value = value;
+            const hook = dir[mounted ? 'updated' : 'mounted'];
+            mounted = true;
+            if (hook) untracked(() => cs.run(() => hook(el, binding)));
+        }
+    };
+    
+    renderEffect(cs, () => {
+        value = exp ? evalExp(exp, scope, cs) : undefined;
+        queueEffect(job);
+    });
+    
+    cs.addEffect(() => {
+        job.active = false;
+        if (mounted) dir.unmounted?.(el, binding);
+    });
+};
+
+// =============================================================================
+// TEMPLATE REFS
+// =============================================================================
+// z-ref="name" exposes an element to code. If a ref with that name is in scope
+// (e.g. declared in setup), its .value is set; otherwise the element goes into
+// the $refs object of the app or component. Inside z-for the entry is an array
+// of elements. Entries are cleared when the element's scope is cleaned up.
+// =============================================================================
+
+// Marks data scopes created by z-for, so refs inside collect into arrays
+const IN_FOR = Symbol('inFor');
+
+/**
+ * Register an element under a template ref
+ *
+ * @param {Element} el - Element with z-ref
+ * @param {string} name - Ref name
+ * @param {Object} scope - Data scope
+ * @param {Scope} cs - Scope that owns the element
+ */
+const setRef = (el, name, scope, cs) => {
+    const declared = isRef(scope[name]);
+    const owner = declared ? scope[name] : scope.$refs;
+    const key = declared ? 'value' : name;
+    if (!owner) return;
+
+    // Elements must not be wrapped in proxies (methods like focus() need the real node)
+    markRaw(el);
+    if (scope[IN_FOR]) {
+        if (!Array.isArray(owner[key])) owner[key] = [];
+        owner[key].push(el);
+    } else {
+        owner[key] = el;
+    }
+
+    cs.addEffect(() => {
+        const current = owner[key];
+        if (Array.isArray(current)) {
+            const i = current.indexOf(el);
+            if (i > -1) current.splice(i, 1);
+        } else if (current === el) {
+            declared ? owner.value = null : delete owner[key];
+        }
+    });
+};
+
+// =============================================================================
+// TRANSITIONS
+// =============================================================================
+// z-transition="name" animates elements shown or hidden by z-if and z-show and
+// items added, removed or moved by z-for, using CSS classes:
+// - name-enter-from, name-enter-active, name-enter-to
+// - name-leave-from, name-leave-active, name-leave-to
+// - name-move (z-for items that changed position, FLIP technique)
+//
+// Leaving nodes stay in the DOM until transitionend/animationend, or right away
+// when the element has no CSS transition or animation. If z-transition names
+// an object in scope, it is used as JS hooks: onBeforeEnter, onEnter,
+// onAfterEnter, onEnterCancelled and the same for Leave. onEnter/onLeave taking
+// a second argument (done) end the transition when they call it.
+// =============================================================================
+
+/**
+ * Resolve a z-transition value to { name, hooks }
+ * @param {string} value - Class name prefix, or the name of a hooks object in scope
+ * @param {Object} scope - Data scope
+ * @returns {Object} { name, hooks } - name defaults to 'z'
+ */
+const getTransition = (value, scope) => {
+    const hooks = value && isObj(scope[value]) ? scope[value] : null;
+    return hooks ? { name: hooks.name || 'z', hooks } : { name: value || 'z', hooks: {} };
+};
+
+/** Run a callback after the browser has painted the current styles */
+const nextFrame = fn => {
+    const raf = globalThis.requestAnimationFrame || (cb => setTimeout(cb, 16));
+    raf(() => raf(fn));
+};
+
+/**
+ * Get how long an element's CSS transition or animation lasts
+ * @param {Element} el - Element
+ * @returns {number} Longest duration plus delay, in milliseconds
+ */
+const getTimeout = el => {
+    const style = el.ownerDocument.defaultView.getComputedStyle(el);
+    const toMs = s => (s || '').split(',').map(t => (parseFloat(t) || 0) * (t.trim().endsWith('ms') ? 1 : 1000));
+    const longest = (durations, delays) => {
+        const d = toMs(durations), l = toMs(delays);
+        return Math.max(0, ...d.map((v, i) => v + (l[i % l.length] || 0)));
+    };
+    return Math.max(
+        longest(style.transitionDuration, style.transitionDelay),
+        longest(style.animationDuration, style.animationDelay)
+    );
+};
+
+/**
+ * Run an enter or leave transition on an element
+ * Starting a new transition cancels the running one on the same element.
+ * 
+ * @param {Element} el - Element to animate
+ * @param {Object} transition - { name, hooks } from getTransition()
+ * @param {string} type - 'enter' or 'leave'
+ * @param {Function} [done] - Called when the transition ends (not when cancelled)
+ */
+const runTransition = (el, { name, hooks }, type, done) => {
+    el._cancelTransition?.();
+    
+    const T = type === 'enter' ? 'Enter' : 'Leave';
+    const from = `${name}-${type}-from`, active = `${name}-${type}-active`, to = `${name}-${type}-to`;
+    let ended = false, timer;
+    
+    const cleanup = () => {
+        ended = true;
+        el.classList.remove(from, active, to);
+        el.removeEventListener('transitionend', onEnd);
+        el.removeEventListener('animationend', onEnd);
+        clearTimeout(timer);
+        el._cancelTransition = null;
+    };
+    const finish = () => {
+        if (ended) return;
+        cleanup();
+        hooks[`onAfter${T}`]?.(el);
+        done?.();
+    };
+    const onEnd = e => { if (e.target === el) finish(); };
+    
+    el._cancelTransition = () => {
+        cleanup();
+        hooks[`on${T}Cancelled`]?.(el);
+    };
+    
+    hooks[`onBefore${T}`]?.(el);
+    el.classList.add(from, active);
+    
+    nextFrame(() => {
+        if (ended) return;
+        el.classList.remove(from);
+        el.classList.add(to);
+        
+        // A hook that takes done() decides when the transition ends
+        const hook = hooks[`on${T}`];
+        if (hook?.length > 1) return hook(el, finish);
+        hook?.(el);
+        
+        const timeout = getTimeout(el);
+        if (!timeout) return finish();
+        el.addEventListener('transitionend', onEnd);
+        el.addEventListener('animationend', onEnd);
+        // Fallback in case the end event never fires
+        timer = setTimeout(finish, timeout + 1);
+    });
+};
+
+/**
+ * Run a transition on every element of a block (z-if branch or z-for item)
+ * @param {Object} block - Block from createBlock()
+ * @param {Object} transition - { name, hooks }
+ * @param {string} type - 'enter' or 'leave'
+ * @param {Function} [done] - Called once all elements have finished
+ */
+const transitionBlock = (block, transition, type, done) => {
+    const els = block.roots.filter(n => n.nodeType === 1);
+    let pending = els.length;
+    if (!pending) return done?.();
+    els.forEach(el => runTransition(el, transition, type, () => --pending || done?.()));
+};
+
+/**
+ * Animate a z-for item from its previous position (FLIP)
+ * @param {Element} el - Item element, already at its new position
+ * @param {DOMRect} oldRect - Position before the update
+ * @param {string} name - Transition name (adds name-move while moving)
+ */
+const moveTransition = (el, oldRect, name) => {
+    const rect = el.getBoundingClientRect();
+    const dx = oldRect.left - rect.left, dy = oldRect.top - rect.top;
+    if (!dx && !dy) return;
+    
+    // Invert: jump back to the old position without transition
+    const s = el.style;
+    s.transform = `translate(${dx}px, ${dy}px)`;
+    s.transitionDuration = '0s';
+    void el.offsetHeight; // Force reflow so the inverted position is applied
+    
+    // Play: transition back to the new position
+    const cls = `${name}-move`;
+    el.classList.add(cls);
+    s.transform = s.transitionDuration = '';
+    
+    let timer;
+    const done = () => {
+        el.classList.remove(cls);
+        el.removeEventListener('transitionend', onEnd);
+        clearTimeout(timer);
+    };
+    const onEnd = e => { if (e.target === el) done(); };
+    el.addEventListener('transitionend', onEnd);
+    timer = setTimeout(done, getTimeout(el) + 1);
+};
+
+// =============================================================================
+// TEMPLATE COMPILER
+// =============================================================================
+// Compiles DOM elements with directives into reactive components.
+// 
+// Supported directives:
+// - {{ expression }}     - Text interpolation
+// - z-if / z-else-if / z-else - Conditional rendering
+// - z-for="(item, index) in array" - List rendering
+// - z-model              - Two-way binding
+// - z-show               - Toggle display
+// - z-text / z-html      - Content binding
+// - :attr or z-bind:attr - Attribute binding
+// - @event or z-on:event - Event handling
+// - <registered-tag>     - Component (see app.component)
+// - z-include="'#id'"    - Template partial, with <slot> content
+// - z-name:arg.mod       - Custom directive (see app.directive)
+// - z-ref="name"         - Template ref (ref in scope or $refs.name)
+// - z-transition="name"  - Enter/leave/move transitions for z-if, z-show, z-for
+// =============================================================================
+
+/**
+ * Create an event handler from an @event value
+ * The value is either a method name in scope (called with the handler
+ * arguments) or an inline expression with the first argument available as 'e'.
+ * 
+ * @param {string} name - Attribute name (for error reports)
+ * @param {string} value - Method name or expression
+ * @param {Object} scope - Data scope
+ * @param {Scope} [cs] - Scope of the element (its app selects the evaluator)
+ * @returns {Function} Handler
+ */
+const createHandler = (name, value, scope, cs) => (...args) => {
+    // If value is a function name in scope, call it
+    if (typeof scope[value] === 'function') {
+        scope[value](...args);
+    } else {
+        // Otherwise evaluate as expression
+        try {
+            if (useInterpreter(cs)) {
+                interpret(value, scope, false, { e: args[0] });
+            } else {
+                const keys = Object.keys(scope);
+                const vals = keys.map(k => scope[k]);
+                Function(...keys, 'e', `"use strict";${value}`)(...vals, args[0]);
+            }
+        } catch (err) {
+            console.error?.('Event error:', err);
+            runHooks('onError', err, 'event', { name, value });
+        }
+    }
+};
+
+/**
+ * Convert an input value to a number for z-model
+ * @param {string} v - Input value
+ * @returns {number|string} The number, or the original value if it isn't numeric
+ */
+const looseToNumber = v => {
+    const n = parseFloat(v);
+    return isNaN(n) ? v : n;
+};
+
+/** Bound attributes z-model reads as raw values: :value, :true-value, :false-value */
+const modelValueKeys = { 'value': '_value', 'true-value': '_trueValue', 'false-value': '_falseValue' };
+
+/**
+ * Get the value of an input or option for z-model (the raw :value if bound)
+ * @param {Element} el - Input or option element
+ * @returns {*} Value
+ */
+const getValue = el => '_value' in el ? el._value : el.value;
+
+/**
+ * Compare a model value with an element value
+ * Objects are compared by identity (ignoring proxies), other values as strings.
+ */
+const looseEqual = (a, b) => a === b || 
+    (isObj(a) || isObj(b) ? toRaw(a) === toRaw(b) : String(a) === String(b));
+
+/** Event modifiers passed to addEventListener as options */
+const listenerOptions = ['once', 'capture', 'passive'];
 
-/** Cache for compiled expression functions */
-const expCache = new Map();
+/** System modifier keys, checked through e.ctrlKey, e.shiftKey, ... */
+const systemKeys = ['ctrl', 'shift', 'alt', 'meta'];
+
+/** Modifiers that are not key names */
+const eventModifiers = new Set([...listenerOptions, ...systemKeys, 'prevent', 'stop', 'self', 'exact']);
+
+/** Key modifier aliases (compared against e.key without dashes, lowercased) */
+const keyAliases = { 
+    esc: ['escape'], space: [' ', 'spacebar'], up: ['arrowup'], down: ['arrowdown'], 
+    left: ['arrowleft'], right: ['arrowright'], delete: ['delete', 'backspace'] 
+};
+
+/** Mouse button modifiers for mouse events */
+const mouseButtons = { left: 0, middle: 1, right: 2 };
 
 /**
- * Evaluate a JavaScript expression with scope variables
- * 
- * Features:
- * - Auto-unwraps refs (count instead of count.value)
- * - Cached compilation for performance
- * - Safe evaluation with try/catch
+ * Wrap an event handler with @event modifiers
+ * Filters (.self, system keys, .exact, key and mouse button names) are checked
+ * first; .prevent and .stop only apply when the handler runs.
  * 
- * @param {string} exp - The expression to evaluate
- * @param {Object} scope - Variables available to the expression
- * @returns {*} The result of the expression, or undefined on error
+ * @param {Function} fn - Event handler
+ * @param {Element} el - Element the listener is attached to
+ * @param {string[]} mods - Modifiers, e.g. ['enter', 'prevent']
+ * @returns {Function} Wrapped handler (fn itself when there are no modifiers)
  * 
  * @example
- * evalExp('count + 1', { count: ref(5) }) // Returns 6
- * evalExp('items.length', { items: reactive([1,2,3]) }) // Returns 3
+ * // @keydown.ctrl.enter.prevent="send"
  */
-const evalExp = (exp, scope) => {
-    try {
-        const keys = Object.keys(scope);
-        // Cache key includes expression and available variables
-        const cacheKey = exp + '|' + keys.join(',');
+const withModifiers = (fn, el, mods) => {
+    if (!mods.length) return fn;
+    const keys = mods.filter(m => !eventModifiers.has(m));
+    
+    return e => {
+        if (mods.includes('self') && e.target !== el) return;
+        if (systemKeys.some(k => mods.includes(k) && !e[k + 'Key'])) return;
+        if (mods.includes('exact') && systemKeys.some(k => !mods.includes(k) && e[k + 'Key'])) return;
         
-        let fn = expCache.get(cacheKey);
-        if (!fn) {
-            // Compile expression to function
-            // Inner try/catch returns undefined for invalid expressions
-            fn = Function(...keys, `"use strict";try{return(${exp})}catch(e){return undefined}`);
-            
-            // Limit cache size to prevent memory leaks
-            if (expCache.size > 500) {
-                expCache.delete(expCache.keys().next().value);
+        if (keys.length) {
+            if ('key' in e) {
+                // Keyboard events: @keyup.enter, @keydown.page-down, @keyup.esc
+                const key = normalizeName(String(e.key));
+                if (!keys.some(k => (keyAliases[k] || [normalizeName(k)]).includes(key))) return;
+            } else if ('button' in e) {
+                // Mouse events: @click.right, @mousedown.middle
+                const buttons = keys.filter(k => k in mouseButtons);
+                if (buttons.length && !buttons.some(k => mouseButtons[k] === e.button)) return;
             }
-            expCache.set(cacheKey, fn);
         }
         
-        // Auto-unwrap refs when passing to function
-        const vals = keys.map(k => { 
-            const v = scope[k]; 
-            return v?._isRef ? v.value : v; 
-        });
-        
-        return fn(...vals);
-    } catch { 
-        return undefined; 
+        if (mods.includes('prevent')) e.preventDefault();
+        if (mods.includes('stop')) e.stopPropagation();
+        return fn(e);
+    };
+};
+
+/**
+ * Create the DOM nodes for one z-if branch or z-for item
+ * A <template> renders its content between two anchor comments (a fragment),
+ * any other element renders a clone of itself.
+ * 
+ * @param {Element} tpl - Element or <template> to render
+ * @returns {Object} { first, last, roots } - boundary nodes and the nodes to compile
+ */
+const createBlock = tpl => {
+    if (tpl.tagName !== 'TEMPLATE') {
+        const el = tpl.cloneNode(true);
+        return { first: el, last: el, roots: [el] };
     }
+    
+    // Fragment content stays between its anchors in a DocumentFragment until inserted
+    const first = document.createComment('z-fragment');
+    const last = document.createComment('/z-fragment');
+    const roots = [...tpl.content.cloneNode(true).childNodes];
+    document.createDocumentFragment().append(first, ...roots, last);
+    return { first, last, roots };
 };
 
-// =============================================================================
-// HOOK SYSTEM
-// =============================================================================
-// Simple plugin hook system for extending compiler behavior.
-// Hooks: beforeCompile, afterCompile, onError
-// =============================================================================
+/**
+ * Get all nodes of a block, from its first to its last node
+ * (includes nodes rendered later inside a fragment, e.g. by a nested z-if)
+ */
+const blockNodes = ({ first, last }) => {
+    const nodes = [first];
+    for (let n = first; n !== last;) nodes.push(n = n.nextSibling);
+    return nodes;
+};
 
-/** Registered hooks */
-const hooks = {};
+/** Insert or move a block before a reference node */
+const moveBlock = (block, parent, ref) => blockNodes(block).forEach(n => parent.insertBefore(n, ref));
+
+/** Remove a block from the DOM */
+const removeBlock = block => blockNodes(block).forEach(n => n.remove());
 
 /**
- * Register a hook function
+ * Copy a data scope for a child scope
+ * Keeps getters (such as z-for indexes) instead of snapshotting their values.
+ * @param {Object} scope - Data scope
+ * @returns {Object} New data object with the same properties
+ */
+const extendScope = scope => scope[IS_REACTIVE] 
+    ? { ...scope } 
+    : Object.defineProperties({}, Object.getOwnPropertyDescriptors(scope));
+
+/**
+ * Define a name in a child data scope as its own property
+ * Shadows a copied accessor instead of writing through its setter (into setup
+ * state, props or :with bindings). Configurable, so scopes copied from it with
+ * extendScope() can define the same name again.
+ * @param {Object} data - Data scope
+ * @param {string|symbol} name - Variable name
+ * @param {Object} desc - Property descriptor ({ get } or { value })
+ */
+const defineBinding = (data, name, desc) => 
+    Object.defineProperty(data, name, { enumerable: true, configurable: true, ...desc });
+
+/**
+ * Layer extra bindings over a data scope without modifying either object
+ * Keys of extra() shadow those of base. All keys are reported as accessors,
+ * so copies made by extendScope() keep reading through the layers.
  * 
- * Available hooks:
- * - beforeCompile(el, scope, cs) - Called before compiling an element
- * - afterCompile(el, scope, cs) - Called after compiling an element
- * - onError(err, type, context) - Called when an error occurs
+ * @param {Object} base - Data scope (may be frozen or reactive)
+ * @param {Function} extra - Returns the object whose keys are layered on top
+ * @returns {Proxy} Data scope reading from both
+ */
+const overlayScope = (base, extra) => {
+    const owner = k => has(extra(), k) ? extra() : base;
+    return new Proxy({}, {
+        get: (t, k) => owner(k)[k],
+        set: (t, k, v) => {
+            owner(k)[k] = v;
+            return true;
+        },
+        has: (t, k) => k in extra() || k in base,
+        ownKeys: () => [...new Set([...Reflect.ownKeys(base), ...Reflect.ownKeys(extra())])],
+        getOwnPropertyDescriptor: (t, k) => has(extra(), k) || has(base, k) ? {
+            get: () => owner(k)[k],
+            set: v => { owner(k)[k] = v; },
+            enumerable: true,
+            configurable: true
+        } : undefined
+    });
+};
+
+/**
+ * Parse a z-for expression
  * 
- * @param {string} name - Hook name
- * @param {Function} fn - Hook function
+ * Accepts "item in list", "(item, index) in list", "(value, key, index) in object",
+ * "n in 10" and destructuring such as "({ id, name }, i) in users".
  * 
- * @example
- * onHook('beforeCompile', (el, scope) => {
- *   console.log('Compiling:', el.tagName);
- * });
+ * @param {string} raw - The z-for attribute value
+ * @param {boolean} [interpreted] - Destructure with the interpreter instead of Function()
+ * @returns {Object} { aliases, names, extract, listExp } where names are the
+ *   variables bound by a destructuring pattern and extract(value) returns them
  */
-export const onHook = (name, fn) => (hooks[name] = hooks[name] || []).push(fn);
+const parseFor = (raw, interpreted) => {
+    const m = raw.match(/^\s*([\s\S]*?)\s+(?:in|of)\s+([\s\S]+)$/);
+    if (!m) return { aliases: ['item'], listExp: raw.trim() };
+    
+    let lhs = m[1].trim();
+    if (lhs[0] === '(' && lhs.endsWith(')')) lhs = lhs.slice(1, -1);
+    
+    // Split aliases on top-level commas (patterns can contain commas)
+    const aliases = [];
+    let depth = 0, start = 0;
+    for (let i = 0; i < lhs.length; i++) {
+        const c = lhs[i];
+        if (c === '{' || c === '[' || c === '(') depth++;
+        else if (c === '}' || c === ']' || c === ')') depth--;
+        else if (c === ',' && !depth) {
+            aliases.push(lhs.slice(start, i).trim());
+            start = i + 1;
+        }
+    }
+    aliases.push(lhs.slice(start).trim());
+    
+    const res = { aliases, listExp: m[2].trim() };
+    
+    // Destructuring pattern: bind each name it declares
+    const pattern = aliases[0];
+    if (pattern[0] === '{' || pattern[0] === '[') {
+        res.names = [...pattern.matchAll(/(?:[{,[:]|\.\.\.)\s*([A-Za-z_$][\w$]*)\s*(?=[,}\]=]|$)/g)].map(n => n[1]);
+        try {
+            // Items that don't match the pattern (e.g. null) bind nothing
+            if (interpreted) {
+                const [node] = parseCached(pattern);
+                res.extract = v => {
+                    const locals = Object.create(null);
+                    try {
+                        bindPattern(node, v, { scope: {}, unwrap: false, locals, root: locals });
+                    } catch {
+                        return {};
+                    }
+                    return locals;
+                };
+            } else {
+                res.extract = Function('_v', `"use strict";try{const ${pattern}=_v;return{${res.names.join(',')}}}catch(e){return{}}`);
+            }
+        } catch (err) {
+            console.error?.('Invalid z-for pattern:', pattern);
+            runHooks('onError', err, 'compile', { exp: raw });
+            res.names = [];
+            res.extract = () => ({});
+        }
+    }
+    return res;
+};
 
 /**
- * Run all registered hooks for a given name
- * @param {string} name - Hook name
- * @param {...*} args - Arguments to pass to hooks
+ * Convert a z-for source to a list of [value, key] entries
+ * Arrays, Sets and other iterables use the position as key, objects and Maps
+ * their own keys, and a number n counts from 1 to n.
+ * 
+ * @param {*} src - List source
+ * @returns {Object} { entries, keyed } where keyed is true for objects and Maps
  */
-const runHooks = (name, ...args) => {
-    const list = hooks[name];
-    if (!list) return;
-    for (const fn of list) {
-        try { if (fn(...args) === false) return false; }
-        catch (err) { console.error?.(`Hook error (${name}):`, err); }
+const forEntries = src => {
+    // Lists held in a ref (e.g. state.items = ref([])) are already reactive inside
+    if (src?._isRef) src = src.value;
+    
+    if (Array.isArray(src)) return { entries: src.map((v, i) => [v, i]) };
+    if (typeof src === 'number') {
+        return { entries: Array.from({ length: Math.max(0, Math.floor(src)) || 0 }, (_, i) => [i + 1, i]) };
     }
+    if (src instanceof Map) return { entries: [...src].map(([k, v]) => [v, k]), keyed: true };
+    if (src?.[Symbol.iterator]) return { entries: Array.from(src, (v, i) => [v, i]) };
+    if (isObj(src)) return { entries: Object.keys(src).map(k => [src[k], k]), keyed: true };
+    return { entries: [] };
 };
 
-// =============================================================================
-// TEMPLATE COMPILER
-// =============================================================================
-// Compiles DOM elements with directives into reactive components.
-// 
-// Supported directives:
-// - {{ expression }}     - Text interpolation
-// - z-if / z-else-if / z-else - Conditional rendering
-// - z-for="(item, index) in array" - List rendering
-// - z-model              - Two-way binding
-// - z-show               - Toggle display
-// - z-text / z-html      - Content binding
-// - :attr or z-bind:attr - Attribute binding
-// - @event or z-on:event - Event handling
-// =============================================================================
+/**
+ * Find the longest increasing subsequence of old positions (used by z-for)
+ * Entries of -1 (new items) are skipped. Runs in O(n log n).
+ * 
+ * @param {number[]} arr - Old position of each item in the new order, or -1
+ * @returns {number[]} Indexes into arr of the longest increasing subsequence
+ * 
+ * @example
+ * getSequence([2, 0, 1, -1, 3]); // [1, 2, 4] (positions 0, 1, 3 stay in place)
+ */
+const getSequence = arr => {
+    const prev = new Array(arr.length);
+    const result = [];  // result[k] = index of the smallest tail of a run of length k + 1
+    
+    for (let i = 0; i < arr.length; i++) {
+        const v = arr[i];
+        if (v < 0) continue;
+        
+        // Binary search for the first run whose tail is >= v
+        let lo = 0, hi = result.length;
+        while (lo < hi) {
+            const mid = (lo + hi) >> 1;
+            arr[result[mid]] < v ? lo = mid + 1 : hi = mid;
+        }
+        prev[i] = lo > 0 ? result[lo - 1] : -1;
+        result[lo] = i;
+    }
+    
+    // Walk back from the tail of the longest run
+    let k = result.length, i = result[k - 1];
+    while (k-- > 0) {
+        result[k] = i;
+        i = prev[i];
+    }
+    return result;
+};
 
 /**
  * Compile a DOM element and its children
@@ -751,11 +3406,11 @@ const compile = (el, scope, cs) => {
         }
         
         // Create reactive effect to update text when expressions change
-        cs.addEffect(watchEffect(() => {
+        renderEffect(cs, () => {
             el.nodeValue = parts.map(p => 
-                typeof p === 'string' ? p : evalExp(p.exp, scope) ?? ''
+                typeof p === 'string' ? p : evalExp(p.exp, scope, cs) ?? ''
             ).join('');
-        }));
+        });
         return;
     }
     
@@ -768,6 +3423,7 @@ const compile = (el, scope, cs) => {
     // Supports: z-if, z-else-if, z-else
     // Elements must be adjacent siblings
     // Each branch gets its own scope (created when shown, cleaned up when hidden)
+    // A <template> branch renders its content between two anchor comments
     // -------------------------------------------------------------------------
     if (el.hasAttribute('z-if')) {
         const branches = [];
@@ -785,15 +3441,18 @@ const compile = (el, scope, cs) => {
             if (!type) break;
             
             const exp = curr.getAttribute(type);
+            const transition = curr.getAttribute('z-transition');
             curr.removeAttribute(type);
+            curr.removeAttribute('z-transition');
             
             // Store template and metadata
             branches.push({ 
                 template: curr.cloneNode(true), 
-                exp,      // Condition expression (null for z-else)
-                type,     // 'z-if', 'z-else-if', or 'z-else'
-                el: null, // Current DOM element (when rendered)
-                scope: null // Current scope (when rendered)
+                exp,         // Condition expression (null for z-else)
+                type,        // 'z-if', 'z-else-if', or 'z-else'
+                transition,  // z-transition value (null if none)
+                block: null, // Current DOM nodes (when rendered)
+                scope: null  // Current scope (when rendered)
             });
             
             const next = curr.nextElementSibling;
@@ -801,12 +3460,15 @@ const compile = (el, scope, cs) => {
             curr = next;
         }
 
+        // Transitions only run for changes after the first render
+        let mounted = false;
+        
         // Create reactive effect to update which branch is shown
-        cs.addEffect(watchEffect(() => {
+        renderEffect(cs, () => {
             // Find first matching branch
             let chosen = null;
             for (const b of branches) {
-                if (b.type === 'z-else' || evalExp(b.exp, scope)) { 
+                if (b.type === 'z-else' || evalExp(b.exp, scope, cs)) { 
                     chosen = b; 
                     break; 
                 }
@@ -816,23 +3478,32 @@ const compile = (el, scope, cs) => {
             branches.forEach(b => {
                 if (b === chosen) {
                     // Show this branch (if not already shown)
-                    if (!b.el) {
-                        b.el = b.template.cloneNode(true);
-                        b.scope = new Scope({ ...scope });
+                    if (!b.block) {
+                        b.block = createBlock(b.template);
+                        b.scope = new Scope(extendScope(scope));
                         cs.addChild(b.scope);
-                        parent.insertBefore(b.el, ph.nextSibling);
-                        compile(b.el, b.scope.data, b.scope);
+                        moveBlock(b.block, ph.parentNode, ph.nextSibling);
+                        b.block.roots.forEach(n => compile(n, b.scope.data, b.scope));
+                        if (mounted && b.transition !== null) {
+                            transitionBlock(b.block, getTransition(b.transition, scope), 'enter');
+                        }
                     }
                 } else if (b.scope) {
-                    // Hide this branch
-                    b.el?.remove();
+                    // Hide this branch (after its leave transition)
+                    const { block } = b;
+                    if (mounted && b.transition !== null) {
+                        transitionBlock(block, getTransition(b.transition, scope), 'leave', () => removeBlock(block));
+                    } else {
+                        removeBlock(block);
+                    }
                     b.scope.cleanup();
                     cs.removeChild(b.scope);
                     b.scope = null;
-                    b.el = null;
+                    b.block = null;
                 }
             });
-        }));
+            mounted = true;
+        });
         
         runHooks('afterCompile', el, scope, cs);
         return;
@@ -846,22 +3517,23 @@ const compile = (el, scope, cs) => {
     // -------------------------------------------------------------------------
     // Syntax: z-for="item in items"
     //         z-for="(item, index) in items"
+    //         z-for="(value, key, index) in object"
+    //         z-for="n in 10"
+    //         z-for="({ id, name }, index) in users"
     // 
     // Key attribute (:key or z-key) recommended for efficient updates
     // Each item gets its own scope with item and index variables
     // Objects are automatically wrapped in reactive()
     // Primitives are wrapped in ref() (auto-unwrapped in templates)
-    // Index is a plain number that updates when array changes
+    // Index is a plain number that updates its bindings when items move
+    // Maps iterate like objects (value, key), Sets and other iterables like arrays
+    // Destructured names are refs reading from the item
+    // A <template> renders its content per item between two anchor comments
     // -------------------------------------------------------------------------
     if (el.hasAttribute('z-for')) {
-        const rawFor = el.getAttribute('z-for');
+        const { aliases, names, extract, listExp } = parseFor(el.getAttribute('z-for'), useInterpreter(cs));
+        const itemName = aliases[0] || 'item';
         
-        // Parse z-for expression: "(item, index) in items" or "item in items"
-        const m = rawFor.match(/^\s*(?:\((\w+)\s*,\s*(\w+)\)|(\w+))\s+(?:in|of)\s+(.*)$/);
-        const itemName = m?.[1] || m?.[3] || 'item';
-        const indexName = m?.[2] || 'index';
-        const listExp = m?.[4] || rawFor.split(/\s+(?:in|of)\s+/)[1]?.trim() || rawFor;
-
         const parent = el.parentNode;
         if (!parent) return;
         
@@ -871,6 +3543,12 @@ const compile = (el, scope, cs) => {
         el.remove();
         el.removeAttribute('z-for');
 
+        // Transition for added, removed and moved items (after the first render)
+        const transitionAttr = el.getAttribute('z-transition');
+        el.removeAttribute('z-transition');
+        const transition = transitionAttr !== null && getTransition(transitionAttr, scope);
+        let mounted = false;
+
         // Get key attribute for efficient diffing
         const keyAttr = el.getAttribute(':key') || el.getAttribute('z-key');
         if (keyAttr) { 
@@ -878,60 +3556,77 @@ const compile = (el, scope, cs) => {
             el.removeAttribute('z-key'); 
         }
 
-        // Map of key -> { clone, scope, itemValue, itemRef }
+        // Map of key -> { block, scope, itemValue, itemRef, indexRef }
         let itemsMap = new Map();
 
         // Create reactive effect to update list when array changes
-        cs.addEffect(watchEffect(() => {
-            // Get array value
-            let arr = evalExp(listExp, scope);
-            if (arr?._isRef) arr = arr.value;
-            if (!Array.isArray(arr)) arr = [];
+        renderEffect(cs, () => {
+            const { entries, keyed } = forEntries(evalExp(listExp, scope, cs));
+            const animate = mounted && transition;
+            
+            // Record positions before the update for move transitions
+            if (animate) {
+                for (const { block } of itemsMap.values()) {
+                    if (block.first.nodeType === 1) block.rect = block.first.getBoundingClientRect();
+                }
+            }
+            
+            // Arrays: (item, index); objects and Maps: (value, key, index)
+            const keyName = keyed ? aliases[1] : null;
+            const indexName = (keyed ? aliases[2] : aliases[1]) || (keyed && aliases[1] ? null : 'index');
 
             const newItemsMap = new Map();
             const newKeys = [];
 
-            arr.forEach((v, i) => {
-                // Create key for tracking (use :key if provided, else index)
+            entries.forEach(([v, k], i) => {
+                // Refs stored in the list are unwrapped like top-level refs
+                if (v?._isRef) v = v.value;
+                
+                // Plain values of the loop variables (for :key)
+                const vars = extract ? extract(v) : { [itemName]: v };
+                if (keyName) vars[keyName] = k;
+                if (indexName) vars[indexName] = i;
+                
+                // Create key for tracking (use :key if provided, else object key or index)
                 const key = '_' + (keyAttr 
-                    ? evalExp(keyAttr, { ...scope, [itemName]: v, [indexName]: i }) 
-                    : i);
+                    ? evalExp(keyAttr, { ...scope, ...vars }, cs) 
+                    : keyed && !(k instanceof Object) ? k : i);
                 newKeys.push(key);
                 
                 const existing = itemsMap.get(key);
                 
-                // Convert to reactive if object (primitives stay as-is)
-                const val = isObj(v) && !v[IS_REACTIVE] ? reactive(v) : v;
-                const isReactiveObj = val && val[IS_REACTIVE];
+                // Convert to reactive if object (primitives and markRaw objects stay as-is)
+                const val = isObj(v) && !v[IS_REACTIVE] && !v[SKIP] ? reactive(v) : v;
+                const isObjItem = isObj(val);
 
                 if (existing) {
-                    // Handle reference change for reactive objects
-                    if (isReactiveObj && existing.itemValue !== val) {
+                    // Handle reference change for objects (or an object replaced by a primitive)
+                    if (isObjItem ? existing.itemValue !== val : !existing.itemRef) {
                         // Reference changed, rebuild item
-                        existing.clone.remove();
+                        removeBlock(existing.block);
                         existing.scope.cleanup();
                         cs.removeChild(existing.scope);
                         // Fall through to create new item
                     } else {
                         // Update existing item
-                        if (!isReactiveObj) {
+                        if (!isObjItem) {
                             // For primitives, update the ref value
                             existing.itemRef.value = val;
                         }
-                        // Update index in scope data (important for correct index after reorder)
-                        existing.scope.data[indexName] = i;
+                        // Update index (important for correct index after reorder)
+                        existing.indexRef.value = i;
                         newItemsMap.set(key, existing);
                         return;
                     }
                 }
 
                 // Create new item
-                const clone = el.cloneNode(true);
+                const block = createBlock(el);
                 
-                // For reactive objects: use directly (accessed as item.prop)
+                // For objects (reactive or markRaw): use directly (accessed as item.prop)
                 // For primitives: wrap in ref (auto-unwrapped in templates)
                 let itemValue, itemRef;
-                if (isReactiveObj) {
+                if (isObjItem) {
                     itemValue = val;
                     itemRef = null;
                 } else {
@@ -939,44 +3634,139 @@ const compile = (el, scope, cs) => {
                     itemValue = itemRef;
                 }
                 
-                // Create scope with item and index
-                const indexValue = i;
-                const s = new Scope({ ...scope, [itemName]: itemValue, [indexName]: indexValue });
+                // Create scope with item, key and index
+                const data = extendScope(scope);
+                if (extract) {
+                    // Destructured names are getters reading through the item, so they
+                    // stay reactive and handlers receive plain values
+                    const item = () => extract(itemRef ? itemRef.value : itemValue);
+                    names.forEach(n => defineBinding(data, n, { get: () => item()[n] }));
+                } else {
+                    defineBinding(data, itemName, { value: itemValue, writable: true });
+                }
+                if (keyName) defineBinding(data, keyName, { value: k, writable: true });
+                defineBinding(data, IN_FOR, { value: true });
+                // The index reads as a plain number but updates bindings when items move
+                const indexRef = ref(i);
+                if (indexName) {
+                    defineBinding(data, indexName, { get: () => indexRef.value });
+                }
+                const s = new Scope(data);
                 cs.addChild(s);
-                compile(clone, s.data, s);
-                newItemsMap.set(key, { clone, scope: s, itemValue, itemRef });
+                block.roots.forEach(n => compile(n, s.data, s));
+                newItemsMap.set(key, { block, scope: s, itemValue, itemRef, indexRef });
             });
 
-            // Remove items that no longer exist
+            // Remove items that no longer exist (after their leave transition)
             for (const [key, item] of itemsMap) {
                 if (!newItemsMap.has(key)) {
-                    item.clone.remove();
+                    const { block } = item;
+                    animate ? transitionBlock(block, transition, 'leave', () => removeBlock(block)) : removeBlock(block);
                     item.scope.cleanup();
                     cs.removeChild(item.scope);
                 }
             }
 
             // Reorder DOM nodes to match array order
+            // Reused items on the longest increasing run of old positions stay put;
+            // only the others (and new items) are inserted, so moves are minimal
+            const oldIndex = new Map();
+            let j = 0;
+            for (const key of itemsMap.keys()) oldIndex.set(key, j++);
+            const sources = newKeys.map(key => 
+                itemsMap.get(key) === newItemsMap.get(key) ? oldIndex.get(key) : -1);
+            const stable = new Set(getSequence(sources));
+            
             let prevNode = ph;
-            for (const key of newKeys) {
-                const item = newItemsMap.get(key);
-                if (item.clone.previousSibling !== prevNode) {
-                    parent.insertBefore(item.clone, prevNode.nextSibling);
+            newKeys.forEach((key, i) => {
+                const { block } = newItemsMap.get(key);
+                if (!stable.has(i) && block.first.previousSibling !== prevNode) {
+                    moveBlock(block, ph.parentNode, prevNode.nextSibling);
                 }
-                prevNode = item.clone;
+                prevNode = block.last;
+            });
+            
+            if (animate) {
+                newItemsMap.forEach(({ block }, key) => {
+                    if (itemsMap.get(key)?.block !== block) {
+                        transitionBlock(block, transition, 'enter');
+                    } else if (block.rect) {
+                        moveTransition(block.first, block.rect, transition.name);
+                    }
+                });
             }
             
             itemsMap = newItemsMap;
-        }));
+            mounted = true;
+        });
+        
+        runHooks('afterCompile', el, scope, cs);
+        return;
+    }
+
+    // -------------------------------------------------------------------------
+    // SLOT - Project content from the enclosing partial or component
+    // -------------------------------------------------------------------------
+    // Provided content is compiled against the host's scope, fallback content
+    // against the current one. <slot> outside a partial is left untouched.
+    // -------------------------------------------------------------------------
+    const slots = el.tagName === 'SLOT' ? findSlots(cs) : null;
+    if (slots) {
+        const content = slots.nodes[el.getAttribute('name') || 'default'];
+        const parent = el.parentNode;
+        
+        if (content) {
+            const nodes = content.map(n => n.cloneNode(true));
+            const ss = new Scope(slots.scope);
+            // Slots inside slot content refer to the host's own slots
+            ss.slots = slots.outer || {};
+            cs.addChild(ss);
+            nodes.forEach(n => parent.insertBefore(n, el));
+            el.remove();
+            nodes.forEach(n => compile(n, slots.scope, ss));
+        } else {
+            const nodes = [...el.childNodes];
+            el.replaceWith(...nodes);
+            nodes.forEach(n => compile(n, scope, cs));
+        }
         
         runHooks('afterCompile', el, scope, cs);
         return;
     }
 
+    // -------------------------------------------------------------------------
+    // Z-TRANSITION - Transition for z-show on this element
+    // -------------------------------------------------------------------------
+    // Taken off before components and directives so it never binds as an
+    // attribute; z-if and z-for read their own above
+    // -------------------------------------------------------------------------
+    const transitionAttr = el.getAttribute('z-transition');
+    el.removeAttribute('z-transition');
+
+    // -------------------------------------------------------------------------
+    // COMPONENTS - Expand registered component tags
+    // -------------------------------------------------------------------------
+    // Props and declared events are taken from the host attributes here;
+    // the remaining attributes are bound on the host below as usual
+    // -------------------------------------------------------------------------
+    const def = cs.app?.components.get(el.tagName.toLowerCase());
+    const comp = def ? setupComponent(el, def, scope, cs) : null;
+
+    // -------------------------------------------------------------------------
+    // Z-INCLUDE - Render a <template> partial inside this element
+    // -------------------------------------------------------------------------
+    // Syntax: z-include="'#card-tpl'" :with="{ title, items }"
+    // The partial compiles its own content; other attributes bind as usual
+    // -------------------------------------------------------------------------
+    const included = !comp && el.hasAttribute('z-include');
+    if (included) setupInclude(el, scope, cs);
+
     // -------------------------------------------------------------------------
     // DIRECTIVES - Process element attributes
     // -------------------------------------------------------------------------
+    const afterChildren = [];
     for (const { name, value } of [...el.attributes]) {
+        let custom;
         
         // ---------------------------------------------------------------------
         // EVENT BINDING: @event or z-on:event
@@ -984,30 +3774,19 @@ const compile = (el, scope, cs) => {
         // Examples: @click="handler" @input="count++" z-on:submit="save"
         // Handler can be a method name or inline expression
         // Event object available as 'e' in inline expressions
+        // Modifiers: .prevent .stop .self .once .capture .passive,
+        // keys (.enter .esc ...), system keys (.ctrl .shift .alt .meta .exact)
+        // and mouse buttons (.left .middle .right)
         // ---------------------------------------------------------------------
         if (name.startsWith('@') || name.startsWith('z-on:')) {
-            const ev = name[0] === '@' ? name.slice(1) : name.slice(5);
+            const [ev, ...mods] = (name[0] === '@' ? name.slice(1) : name.slice(5)).split('.');
             el.removeAttribute(name);
             
-            const fn = e => {
-                // If value is a function name in scope, call it
-                if (typeof scope[value] === 'function') {
-                    scope[value](e);
-                } else {
-                    // Otherwise evaluate as expression
-                    try {
-                        const keys = Object.keys(scope);
-                        const vals = keys.map(k => scope[k]);
-                        Function(...keys, 'e', `"use strict";${value}`)(...vals, e);
-                    } catch (err) {
-                        console.error?.('Event error:', err);
-                        runHooks('onError', err, 'event', { name, value });
-                    }
-                }
-            };
-            
-            el.addEventListener(ev, fn);
-            cs.addListener(el, ev, fn);
+            const fn = withModifiers(createHandler(name, value, scope, cs), el, mods);
+            const opts = {};
+            listenerOptions.forEach(o => { if (mods.includes(o)) opts[o] = true; });
+            el.addEventListener(ev, fn, opts);
+            cs.addListener(el, ev, fn, opts);
         }
         
         // ---------------------------------------------------------------------
@@ -1015,22 +3794,63 @@ const compile = (el, scope, cs) => {
         // ---------------------------------------------------------------------
         // Binds input value to a reactive variable
         // Supports: text inputs, checkboxes, radio buttons, select
+        // Refs (including writable computed) are written through .value
+        // Modifiers: .lazy (sync on change), .number, .trim
+        // type="number" and type="range" inputs always write numbers
+        // Checkboxes bound to an array (or Set) add/remove their value,
+        // otherwise they write :true-value / :false-value (default true/false)
+        // <select multiple> binds an array of the selected option values
+        // Values bound with :value keep their type (numbers, objects)
         // ---------------------------------------------------------------------
-        else if (name === 'z-model') {
+        else if (name === 'z-model' || name.startsWith('z-model.')) {
+            const mods = name.split('.').slice(1);
             el.removeAttribute(name);
             
-            const isCheck = el.type === 'checkbox' || el.type === 'radio';
-            const prop = isCheck ? 'checked' : 'value';
-            const ev = isCheck || el.tagName === 'SELECT' ? 'change' : 'input';
+            const { type } = el;
+            const isSelect = el.tagName === 'SELECT';
+            const ev = type === 'checkbox' || type === 'radio' || isSelect || mods.includes('lazy') 
+                ? 'change' : 'input';
+            const trim = mods.includes('trim');
+            const number = mods.includes('number') || type === 'number' || type === 'range';
+            const cast = v => number && typeof v === 'string' ? looseToNumber(v) : v;
+            
+            const trueValue = () => '_trueValue' in el ? el._trueValue 
+                : el.hasAttribute('true-value') ? el.getAttribute('true-value') : true;
+            const falseValue = () => '_falseValue' in el ? el._falseValue 
+                : el.hasAttribute('false-value') ? el.getAttribute('false-value') : false;
+            
+            // Read the new model value from the element
+            const read = () => {
+                if (type === 'checkbox') {
+                    const model = evalExp(value, scope, cs);
+                    const v = cast(getValue(el));
+                    if (Array.isArray(model)) {
+                        const others = model.filter(x => !looseEqual(x, v));
+                        return el.checked ? [...others, v] : others;
+                    }
+                    if (model instanceof Set) {
+                        const res = new Set([...model].filter(x => !looseEqual(x, v)));
+                        return el.checked ? res.add(v) : res;
+                    }
+                    return el.checked ? trueValue() : falseValue();
+                }
+                if (type === 'radio') return cast(getValue(el));
+                if (isSelect) {
+                    const selected = [...el.options].filter(o => o.selected).map(o => cast(getValue(o)));
+                    return el.multiple ? selected : selected[0];
+                }
+                const v = trim ? el.value.trim() : el.value;
+                return number ? looseToNumber(v) : v;
+            };
             
             // Update model when input changes
             const fn = () => {
-                if (el.type === 'radio' && !el.checked) return;
+                if (type === 'radio' && !el.checked) return;
                 
                 if (scope[value]?._isRef) {
-                    scope[value].value = el[prop];
+                    scope[value].value = read();
                 } else {
-                    evalExp(value + '=_v', { ...scope, _v: el[prop] });
+                    evalExp(value + '=_v', { ...scope, _v: read() }, cs);
                 }
             };
             
@@ -1038,16 +3858,54 @@ const compile = (el, scope, cs) => {
             cs.addListener(el, ev, fn);
             
             // Update input when model changes
-            cs.addEffect(watchEffect(() => {
-                const res = evalExp(value, scope);
-                if (el.type === 'radio') {
-                    el.checked = String(el.value) === String(res);
-                } else {
-                    el[prop] = res;
+            // (after :value bindings and <option> children are compiled)
+            afterChildren.push(() => renderEffect(cs, () => {
+                const res = evalExp(value, scope, cs);
+                
+                if (type === 'checkbox') {
+                    const v = getValue(el);
+                    el.checked = Array.isArray(res) || res instanceof Set 
+                        ? [...res].some(x => looseEqual(x, v))
+                        : '_trueValue' in el || el.hasAttribute('true-value') 
+                            ? looseEqual(res, trueValue()) 
+                            : !!res;
+                } else if (type === 'radio') {
+                    el.checked = looseEqual(res, getValue(el));
+                } else if (isSelect) {
+                    const options = [...el.options];
+                    if (el.multiple) {
+                        const list = Array.isArray(res) || res instanceof Set ? [...res] : [];
+                        options.forEach(o => o.selected = list.some(x => looseEqual(x, getValue(o))));
+                    } else {
+                        el.selectedIndex = options.findIndex(o => looseEqual(res, getValue(o)));
+                    }
+                } else if (read() !== res) {
+                    // Skip when the input already shows the value ("1." while typing 1)
+                    el.value = res;
                 }
             }));
         }
         
+        // ---------------------------------------------------------------------
+        // TEMPLATE REF: z-ref="name"
+        // ---------------------------------------------------------------------
+        // Sets a ref of that name in scope, or $refs.name (arrays in z-for)
+        // ---------------------------------------------------------------------
+        else if (name === 'z-ref') {
+            el.removeAttribute(name);
+            setRef(el, value, scope, cs);
+        }
+        
+        // ---------------------------------------------------------------------
+        // CUSTOM DIRECTIVES: z-name:arg.modifiers="exp"
+        // ---------------------------------------------------------------------
+        // Only directives registered with app.directive(); others fall through
+        // ---------------------------------------------------------------------
+        else if ((custom = resolveDirective(name, cs))) {
+            el.removeAttribute(name);
+            setupDirective(el, custom, value, scope, cs);
+        }
+        
         // ---------------------------------------------------------------------
         // ATTRIBUTE/DIRECTIVE BINDING
         // ---------------------------------------------------------------------
@@ -1065,9 +3923,11 @@ const compile = (el, scope, cs) => {
             
             // Preserve static classes for merging
             const staticClass = attr === 'class' ? (el.getAttribute('class') || '') : '';
+            // Last z-show state (transitions run on changes only)
+            let shown;
             
-            cs.addEffect(watchEffect(() => {
-                const res = evalExp(value, scope);
+            renderEffect(cs, () => {
+                const res = evalExp(value, scope, cs);
                 
                 if (attr === 'z-text') {
                     // Set text content (safe, no HTML)
@@ -1078,8 +3938,19 @@ const compile = (el, scope, cs) => {
                     el.innerHTML = res ?? '';
                 } 
                 else if (attr === 'z-show') {
-                    // Toggle visibility
-                    el.style.display = res ? '' : 'none';
+                    // Toggle visibility (hidden after the leave transition)
+                    if (transitionAttr !== null && shown !== undefined && !!res !== shown) {
+                        const transition = getTransition(transitionAttr, scope);
+                        if (res) {
+                            el.style.display = '';
+                            runTransition(el, transition, 'enter');
+                        } else {
+                            runTransition(el, transition, 'leave', () => el.style.display = 'none');
+                        }
+                    } else {
+                        el.style.display = res ? '' : 'none';
+                    }
+                    shown = !!res;
                 } 
                 else if (attr === 'style' && isObj(res)) {
                     // Object style binding: :style="{ color: 'red' }"
@@ -1098,6 +3969,9 @@ const compile = (el, scope, cs) => {
                     // Generic attribute binding
                     const setName = attr.startsWith('z-') ? attr.slice(2) : attr;
                     
+                    // z-model reads the bound value itself (keeps numbers and objects)
+                    if (modelValueKeys[setName]) el[modelValueKeys[setName]] = res;
+                    
                     if (typeof res === 'boolean') {
                         // Boolean attributes: :disabled="isDisabled"
                         res ? el.setAttribute(setName, '') : el.removeAttribute(setName);
@@ -1107,12 +3981,19 @@ const compile = (el, scope, cs) => {
                         el.setAttribute(setName, res);
                     }
                 }
-            }));
+            });
         }
     }
 
-    // Recursively compile children
-    [...el.childNodes].forEach(child => compile(child, scope, cs));
+    // Recursively compile children (a component's template uses its own scope,
+    // a partial is compiled by z-include)
+    if (!included) {
+        [...el.childNodes].forEach(child => comp 
+            ? compile(child, comp.data, comp) 
+            : compile(child, scope, cs));
+    }
+    afterChildren.forEach(fn => fn());
+    if (comp) queueMounted(comp);
     
     runHooks('afterCompile', el, scope, cs);
 };
@@ -1143,7 +4024,11 @@ export const nextTick = fn => Promise.resolve().then(fn);
  * Create a Zog application
  * 
  * @param {Function} setup - Setup function that returns reactive data
- * @returns {Object} App instance with mount(), unmount(), and use() methods
+ * @param {Object} [options] - App options
+ * @param {boolean} [options.csp] - Evaluate template expressions and handlers with the
+ *   built-in interpreter instead of Function() (for a Content-Security-Policy without
+ *   'unsafe-eval'; chosen automatically when Function() is blocked)
+ * @returns {Object} App instance with mount(), unmount(), use(), component() and directive() methods
  * 
  * @example
  * const app = createApp(() => ({
@@ -1154,10 +4039,16 @@ export const nextTick = fn => Promise.resolve().then(fn);
  * 
  * app.use(myPlugin);
  * app.mount('#app');
+ * 
+ * // Pages with a strict CSP
+ * createApp(setup, { csp: true }).mount('#app');
  */
-export const createApp = setup => {
+export const createApp = (setup, options = {}) => {
     let rootScope = null;
-    const appContext = { plugins: new Set() };
+    const appContext = { 
+        plugins: new Set(), components: new Map(), directives: new Map(), provides: new Map(),
+        csp: !!options.csp
+    };
 
     return {
         /**
@@ -1185,14 +4076,81 @@ export const createApp = setup => {
             // Provide API to plugin
             plugin.install({
                 app: this,
-                reactive, ref, computed, watchEffect,
-                onHook, compile, Scope, evalExp
+                config, reactive, shallowReactive, readonly, ref, shallowRef, computed, watchEffect, watch,
+                batch, untracked,
+                toRaw, markRaw, isReactive, isRef, unref, toRef, toRefs,
+                effectScope, getCurrentScope, onScopeDispose,
+                onMounted, onUnmounted, onBeforeUpdate, onUpdated, provide, inject,
+                onHook, compile, Scope, evalExp, defineComponent
             }, options);
             
             appContext.plugins.add(plugin);
             return this;
         },
         
+        /**
+         * Register a component, or get a registered one
+         * 
+         * @param {string} name - Component name (UserCard and user-card both match <user-card>)
+         * @param {Object} [def] - Component definition (see defineComponent)
+         * @returns {Object} App instance for chaining, or the definition when def is omitted
+         * 
+         * @example
+         * app.component('user-card', {
+         *   template: '#user-card',
+         *   props: ['user'],
+         *   emits: ['select']
+         * });
+         */
+        component(name, def) {
+            if (!def) return appContext.components.get(hyphenate(name));
+            appContext.components.set(hyphenate(name), def);
+            return this;
+        },
+        
+        /**
+         * Register a custom directive, or get a registered one
+         * A function is shorthand for { mounted: fn, updated: fn }.
+         * 
+         * @param {string} name - Directive name without the z- prefix
+         * @param {Object|Function} [def] - Hooks { mounted, updated, unmounted }
+         * @returns {Object} App instance for chaining, or the directive when def is omitted
+         * 
+         * @example
+         * app.directive('focus', { mounted: el => el.focus() });
+         * // <input z-focus>
+         * 
+         * app.directive('color', (el, binding) => el.style.color = binding.value);
+         * // <p z-color="textColor">
+         */
+        directive(name, def) {
+            if (!def) return appContext.directives.get(hyphenate(name));
+            if (BUILTIN_DIRECTIVES.has(hyphenate(name))) {
+                console.warn?.(`Directive "${name}" is built in and can't be replaced.`);
+                return this;
+            }
+            appContext.directives.set(hyphenate(name), 
+                typeof def === 'function' ? { mounted: def, updated: def } : def);
+            return this;
+        },
+        
+        /**
+         * Provide a value to inject() anywhere in the app
+         * Values provided in setup with provide() take precedence.
+         * 
+         * @param {string|symbol} key - Injection key
+         * @param {*} value - Value
+         * @returns {Object} App instance for chaining
+         * 
+         * @example
+         * createApp(setup).provide('api', apiClient).mount('#app');
+         * // In any setup: const api = inject('api');
+         */
+        provide(key, value) {
+            appContext.provides.set(key, value);
+            return this;
+        },
+        
         /**
          * Mount the app to a DOM element
          * 
@@ -1212,19 +4170,30 @@ export const createApp = setup => {
 
             // Create root scope
             rootScope = new Scope({});
-            currentScope = rootScope;
+            rootScope.app = appContext;
+            rootScope.hooks = {};
             
-            // Run setup function to get reactive data
-            rootScope.data = setup?.() || {};
-            currentScope = null;
+            // Run setup function to get reactive data (effects are collected by the root scope)
+            // $refs is layered on top, leaving the (possibly frozen or reactive) setup object untouched
+            const refs = { $refs: reactive({}) };
+            const state = runSetup(rootScope, () => setup?.()) || {};
+            rootScope.data = overlayScope(state, () => refs);
             
-            // Compile the root element
+            // Compile the root element, collecting the components that need mounted hooks
+            const prevMounted = pendingMounted;
+            pendingMounted = [];
             try { 
                 compile(el, rootScope.data, rootScope); 
             } catch (err) { 
                 console.error?.('Compile error:', err); 
                 runHooks('onError', err, 'compile', { el }); 
             }
+            const mounted = pendingMounted;
+            pendingMounted = prevMounted;
+            
+            // Components are mounted before the app that contains them
+            mounted.forEach(s => callHook(s, 'mounted'));
+            callHook(rootScope, 'mounted');
             
             return this;
         },
@@ -1,6 +1,6 @@
 import { describe, it, expect, beforeEach, afterEach, vi } from 'vitest';
 import { JSDOM } from 'jsdom';
-import { createApp, ref, reactive, computed } from '../src/zog.js';
+import { createApp, ref, reactive, computed, markRaw, onScopeDispose, effectScope, watchEffect, defineComponent, onMounted, onUnmounted, onBeforeUpdate, onUpdated, provide, inject } from '../src/zog.js';
 
 describe('Compiler and Directives', () => {
     let dom;
@@ -371,6 +371,343 @@ describe('Compiler and Directives', () => {
         });
     });
 
+    describe('<template> fragments', () => {
+        it('should render z-if on a template as multiple nodes', async () => {
+            container.innerHTML = '<div><template z-if="show"><h1>{{ title }}</h1><p>Body</p></template><span>end</span></div>';
+            let show;
+            createApp(() => {
+                show = ref(true);
+                return { show, title: 'Title' };
+            }).mount(container);
+            const div = container.querySelector('div');
+            expect([...div.children].map(c => c.tagName)).toEqual(['H1', 'P', 'SPAN']);
+            expect(div.querySelector('h1').textContent).toBe('Title');
+            show.value = false;
+            await new Promise(resolve => setTimeout(resolve, 0));
+            expect([...div.children].map(c => c.tagName)).toEqual(['SPAN']);
+            show.value = true;
+            await new Promise(resolve => setTimeout(resolve, 0));
+            expect([...div.children].map(c => c.tagName)).toEqual(['H1', 'P', 'SPAN']);
+        });
+
+        it('should switch between template and element branches', async () => {
+            container.innerHTML = `<div>
+                <template z-if="mode === 'a'"><b>A1</b><b>A2</b></template>
+                <template z-else-if="mode === 'b'"><i>B</i></template>
+                <u z-else>C</u>
+            </div>`;
+            let mode;
+            createApp(() => {
+                mode = ref('a');
+                return { mode };
+            }).mount(container);
+            const tags = () => [...container.querySelector('div').children].map(c => c.textContent);
+            expect(tags()).toEqual(['A1', 'A2']);
+            mode.value = 'b';
+            await new Promise(resolve => setTimeout(resolve, 0));
+            expect(tags()).toEqual(['B']);
+            mode.value = 'c';
+            await new Promise(resolve => setTimeout(resolve, 0));
+            expect(tags()).toEqual(['C']);
+        });
+
+        it('should render sibling table rows per item with z-for', async () => {
+            container.innerHTML = `<table><tbody>
+                <template z-for="u in users" :key="u.id"><tr class="name"><td>{{ u.name }}</td></tr><tr class="mail"><td>{{ u.mail }}</td></tr></template>
+            </tbody></table>`;
+            let users;
+            createApp(() => {
+                users = reactive([{ id: 1, name: 'Ann', mail: 'a@x' }, { id: 2, name: 'Bob', mail: 'b@x' }]);
+                return { users };
+            }).mount(container);
+            const rows = () => [...container.querySelectorAll('tr')].map(tr => tr.textContent);
+            expect(rows()).toEqual(['Ann', 'a@x', 'Bob', 'b@x']);
+            users.reverse();
+            await new Promise(resolve => setTimeout(resolve, 0));
+            expect(rows()).toEqual(['Bob', 'b@x', 'Ann', 'a@x']);
+            users.splice(0, 1);
+            await new Promise(resolve => setTimeout(resolve, 0));
+            expect(rows()).toEqual(['Ann', 'a@x']);
+        });
+
+        it('should render definition list pairs', () => {
+            container.innerHTML = '<dl><template z-for="(value, key) in info"><dt>{{ key }}</dt><dd>{{ value }}</dd></template></dl>';
+            createApp(() => ({ info: { os: 'Linux', cpu: 'x86' } })).mount(container);
+            expect(container.querySelector('dl').innerHTML.replace(/<!--.*?-->/g, ''))
+                .toBe('<dt>os</dt><dd>Linux</dd><dt>cpu</dt><dd>x86</dd>');
+        });
+
+        it('should support directives on fragment roots', async () => {
+            container.innerHTML = `<ul>
+                <template z-for="item in items" :key="item.id">
+                    <li>{{ item.text }}</li>
+                    <li z-if="item.note" class="note">{{ item.note }}</li>
+                </template>
+            </ul>`;
+            let items;
+            createApp(() => {
+                items = reactive([{ id: 1, text: 'a', note: '' }, { id: 2, text: 'b', note: 'n' }]);
+                return { items };
+            }).mount(container);
+            const texts = () => [...container.querySelectorAll('li')].map(li => li.textContent);
+            expect(texts()).toEqual(['a', 'b', 'n']);
+            items[0].note = 'first';
+            items.reverse();
+            await new Promise(resolve => setTimeout(resolve, 0));
+            expect(texts()).toEqual(['b', 'n', 'a', 'first']);
+        });
+    });
+
+    describe('z-for keyed diff', () => {
+        let list;
+
+        // Mount a keyed list and count DOM moves (inserts of nodes already in the list)
+        const mountList = ids => {
+            container.innerHTML = '<ul><li z-for="item in list" :key="item.id">{{ item.id }}</li></ul>';
+            createApp(() => {
+                list = reactive(ids.map(id => ({ id })));
+                return { list };
+            }).mount(container);
+            const ul = container.querySelector('ul');
+            const counts = { moves: 0, inserts: 0 };
+            const insertBefore = ul.insertBefore.bind(ul);
+            ul.insertBefore = (node, ref) => {
+                node.parentNode === ul ? counts.moves++ : counts.inserts++;
+                return insertBefore(node, ref);
+            };
+            return counts;
+        };
+        const rendered = () => [...container.querySelectorAll('li')].map(li => li.textContent);
+        const update = async ids => {
+            list.splice(0, list.length, ...ids.map(id => list.find(item => item.id === id) || { id }));
+            await new Promise(resolve => setTimeout(resolve, 0));
+        };
+
+        it('should not move existing nodes on prepend', async () => {
+            const counts = mountList([1, 2, 3]);
+            await update([0, 1, 2, 3]);
+            expect(rendered()).toEqual(['0', '1', '2', '3']);
+            expect(counts).toEqual({ moves: 0, inserts: 1 });
+        });
+
+        it('should move two nodes when swapping', async () => {
+            const counts = mountList([1, 2, 3, 4, 5]);
+            await update([1, 4, 3, 2, 5]);
+            expect(rendered()).toEqual(['1', '4', '3', '2', '5']);
+            expect(counts.moves).toBe(2);
+        });
+
+        it('should move one node when rotating', async () => {
+            const counts = mountList([1, 2, 3, 4, 5]);
+            await update([5, 1, 2, 3, 4]);
+            expect(rendered()).toEqual(['5', '1', '2', '3', '4']);
+            expect(counts.moves).toBe(1);
+        });
+
+        it('should move one node when moving the first item to the end', async () => {
+            const counts = mountList([1, 2, 3, 4, 5]);
+            await update([2, 3, 4, 5, 1]);
+            expect(rendered()).toEqual(['2', '3', '4', '5', '1']);
+            expect(counts.moves).toBe(1);
+        });
+
+        it('should move n - 1 nodes when reversing', async () => {
+            const counts = mountList([1, 2, 3, 4, 5]);
+            await update([5, 4, 3, 2, 1]);
+            expect(rendered()).toEqual(['5', '4', '3', '2', '1']);
+            expect(counts.moves).toBe(4);
+        });
+
+        it('should keep the longest increasing run in place when shuffling', async () => {
+            const counts = mountList([1, 2, 3, 4, 5, 6, 7, 8]);
+            // 2, 4, 6, 7 keep their relative order; the other four move
+            await update([3, 2, 8, 4, 1, 6, 5, 7]);
+            expect(rendered()).toEqual(['3', '2', '8', '4', '1', '6', '5', '7']);
+            expect(counts.moves).toBe(4);
+        });
+
+        it('should handle removals, additions and moves together', async () => {
+            const counts = mountList([1, 2, 3, 4]);
+            await update([4, 9, 2, 1]);
+            expect(rendered()).toEqual(['4', '9', '2', '1']);
+            expect(counts.inserts).toBe(1);
+            expect(counts.moves).toBe(2);
+        });
+
+        it('should keep focus in rows that do not move', async () => {
+            container.innerHTML = '<div><p z-for="row in rows" :key="row.id"><input :value="row.id"></p></div>';
+            let rows;
+            createApp(() => {
+                rows = reactive([{ id: 'a' }, { id: 'b' }]);
+                return { rows };
+            }).mount(container);
+            document.body.appendChild(container);
+            const input = container.querySelectorAll('input')[1];
+            input.focus();
+            rows.unshift({ id: 'z' });
+            await new Promise(resolve => setTimeout(resolve, 0));
+            expect(document.activeElement).toBe(input);
+        });
+    });
+
+    describe('z-for with collections', () => {
+        it('should iterate a reactive Set', async () => {
+            container.innerHTML = '<span z-for="tag in tags">{{ tag }}</span>';
+            let tags;
+            createApp(() => {
+                tags = reactive(new Set(['a', 'b']));
+                return { tags };
+            }).mount(container);
+            expect([...container.querySelectorAll('span')].map(s => s.textContent)).toEqual(['a', 'b']);
+            tags.add('c');
+            tags.delete('a');
+            await new Promise(resolve => setTimeout(resolve, 0));
+            expect([...container.querySelectorAll('span')].map(s => s.textContent)).toEqual(['b', 'c']);
+        });
+
+        it('should iterate the values of a reactive Map', async () => {
+            container.innerHTML = '<span z-for="user in users" :key="user.id">{{ user.name }}</span>';
+            let users;
+            createApp(() => {
+                users = reactive(new Map([[1, { id: 1, name: 'Ali' }]]));
+                return { users };
+            }).mount(container);
+            expect(container.textContent).toBe('Ali');
+            users.set(2, { id: 2, name: 'Sara' });
+            await new Promise(resolve => setTimeout(resolve, 0));
+            expect(container.textContent).toBe('AliSara');
+            users.get(1).name = 'Reza';
+            await new Promise(resolve => setTimeout(resolve, 0));
+            expect(container.textContent).toBe('RezaSara');
+        });
+
+        it('should expose Map keys as the second alias', () => {
+            container.innerHTML = '<p z-for="(role, name, i) in roles">{{ i }}.{{ name }}={{ role }}</p>';
+            createApp(() => ({ roles: reactive(new Map([['ann', 'admin'], ['bob', 'guest']])) })).mount(container);
+            expect([...container.querySelectorAll('p')].map(p => p.textContent)).toEqual(['0.ann=admin', '1.bob=guest']);
+        });
+    });
+
+    describe('z-for sources and aliases', () => {
+        it('should iterate object values with key and index', async () => {
+            container.innerHTML = '<p z-for="(value, key, index) in settings">{{ index }}:{{ key }}={{ value }}</p>';
+            let settings;
+            createApp(() => {
+                settings = reactive({ theme: 'light', size: 12 });
+                return { settings };
+            }).mount(container);
+            const texts = () => [...container.querySelectorAll('p')].map(p => p.textContent);
+            expect(texts()).toEqual(['0:theme=light', '1:size=12']);
+            settings.theme = 'dark';
+            settings.lang = 'en';
+            await new Promise(resolve => setTimeout(resolve, 0));
+            expect(texts()).toEqual(['0:theme=dark', '1:size=12', '2:lang=en']);
+            delete settings.size;
+            await new Promise(resolve => setTimeout(resolve, 0));
+            expect(texts()).toEqual(['0:theme=dark', '1:lang=en']);
+        });
+
+        it('should provide index by default for object iteration', () => {
+            container.innerHTML = '<p z-for="value in obj">{{ index }}-{{ value }}</p>';
+            createApp(() => ({ obj: { a: 'x', b: 'y' } })).mount(container);
+            expect([...container.querySelectorAll('p')].map(p => p.textContent)).toEqual(['0-x', '1-y']);
+        });
+
+        it('should iterate a numeric range', async () => {
+            container.innerHTML = '<i z-for="(n, i) in count">{{ n }}/{{ i }} </i>';
+            let count;
+            createApp(() => {
+                count = ref(3);
+                return { count };
+            }).mount(container);
+            expect(container.textContent).toBe('1/0 2/1 3/2 ');
+            count.value = 1;
+            await new Promise(resolve => setTimeout(resolve, 0));
+            expect(container.textContent).toBe('1/0 ');
+        });
+
+        it('should iterate generic iterables', () => {
+            container.innerHTML = '<b z-for="ch of word">{{ ch }}</b>';
+            createApp(() => ({ word: 'abc' })).mount(container);
+            expect(container.querySelectorAll('b').length).toBe(3);
+        });
+
+        it('should destructure object items', async () => {
+            container.innerHTML = '<li z-for="({ id, name }, i) in users" :key="id">{{ i }}:{{ id }}-{{ name }}</li>';
+            let users;
+            createApp(() => {
+                users = reactive([{ id: 1, name: 'Ann' }, { id: 2, name: 'Bob' }]);
+                return { users };
+            }).mount(container);
+            const texts = () => [...container.querySelectorAll('li')].map(li => li.textContent);
+            expect(texts()).toEqual(['0:1-Ann', '1:2-Bob']);
+            users[1].name = 'Rob';
+            await new Promise(resolve => setTimeout(resolve, 0));
+            expect(texts()).toEqual(['0:1-Ann', '1:2-Rob']);
+        });
+
+        it('should pass destructured values, not refs, to handlers', () => {
+            container.innerHTML = '<button z-for="({ id }, i) in users" @click="pick(id, i)">{{ id }}</button>';
+            const pick = vi.fn();
+            createApp(() => ({ users: reactive([{ id: 1 }, { id: 2 }]), pick })).mount(container);
+            container.querySelectorAll('button')[1].click();
+            expect(pick).toHaveBeenCalledWith(2, 1);
+        });
+
+        it('should let a nested z-for bind the same index name', () => {
+            container.innerHTML = `
+                <div class="a" z-for="row in rows"><span z-for="cell in row">{{ index }}:{{ cell }} </span></div>
+                <div class="b" z-for="(row, i) in rows"><span z-for="(cell, i) in row">{{ i }}:{{ cell }} </span></div>`;
+            const spy = vi.spyOn(console, 'error').mockImplementation(() => {});
+            createApp(() => ({ rows: [[1, 2], [3]] })).mount(container);
+            expect(spy).not.toHaveBeenCalled();
+            spy.mockRestore();
+            const text = cls => [...container.querySelectorAll(cls)].map(d => d.textContent).join('');
+            expect(text('.a')).toBe('0:1 1:2 0:3 ');
+            expect(text('.b')).toBe('0:1 1:2 0:3 ');
+        });
+
+        it('should shadow setup state with a z-for alias of the same name', () => {
+            container.innerHTML = '<li z-for="item in list">{{ item }}</li><p>{{ item }}</p>';
+            const state = { item: 'root', list: ['a', 'b'] };
+            createApp(() => state).mount(container);
+            expect(state.item).toBe('root');
+            expect(container.textContent).toBe('abroot');
+        });
+
+        it('should shadow a frozen setup return with z-for aliases', () => {
+            container.innerHTML = '<li z-for="(item, key) in list">{{ key }}{{ item }}</li><p>{{ item }}{{ key }}</p>';
+            const errorSpy = vi.spyOn(console, 'error').mockImplementation(() => {});
+            createApp(() => Object.freeze({ item: 'root', key: '!', list: { x: 'a', y: 'b' } })).mount(container);
+            expect(errorSpy).not.toHaveBeenCalled();
+            errorSpy.mockRestore();
+            expect(container.textContent).toBe('xaybroot!');
+        });
+
+        it('should destructure with renames, defaults and array patterns', () => {
+            container.innerHTML = `
+                <p class="a" z-for="{ name: label, role = 'guest' } in users">{{ label }}/{{ role }}</p>
+                <p class="b" z-for="[k, v] in pairs">{{ k }}={{ v }}</p>`;
+            createApp(() => ({
+                users: [{ name: 'Ann', role: 'admin' }, { name: 'Bob' }],
+                pairs: [['x', 1], ['y', 2]]
+            })).mount(container);
+            expect([...container.querySelectorAll('.a')].map(p => p.textContent)).toEqual(['Ann/admin', 'Bob/guest']);
+            expect([...container.querySelectorAll('.b')].map(p => p.textContent)).toEqual(['x=1', 'y=2']);
+        });
+    });
+
+    describe('z-for with markRaw items', () => {
+        it('should use markRaw objects as-is', () => {
+            container.innerHTML = '<span z-for="item in items">{{ item.label() }}</span>';
+            const seen = [];
+            const widget = markRaw({ label() { seen.push(this); return 'w'; } });
+            createApp(() => ({ items: [widget] })).mount(container);
+            expect(container.textContent).toBe('w');
+            expect(seen[0]).toBe(widget);
+        });
+    });
+
     describe('z-model directive', () => {
         it('should bind input value', () => {
             container.innerHTML = '<input z-model="text">';
@@ -437,6 +774,222 @@ describe('Compiler and Directives', () => {
             await new Promise(resolve => setTimeout(resolve, 0));
             expect(user.name).toBe('Hassan');
         });
+
+        it('should write through a writable computed', async () => {
+            container.innerHTML = '<input z-model="fullName"><span>{{ first }}|{{ last }}</span>';
+            createApp(() => {
+                const first = ref('John');
+                const last = ref('Doe');
+                const fullName = computed({
+                    get: () => `${first.value} ${last.value}`,
+                    set: v => { [first.value, last.value] = v.split(' '); }
+                });
+                return { first, last, fullName };
+            }).mount(container);
+            const input = container.querySelector('input');
+            expect(input.value).toBe('John Doe');
+            input.value = 'Jane Smith';
+            input.dispatchEvent(new dom.window.Event('input'));
+            await new Promise(resolve => setTimeout(resolve, 0));
+            expect(container.querySelector('span').textContent).toBe('Jane|Smith');
+        });
+
+        it('should sync on change with .lazy', async () => {
+            container.innerHTML = '<input z-model.lazy="text">';
+            let text;
+            createApp(() => {
+                text = ref('a');
+                return { text };
+            }).mount(container);
+            const input = container.querySelector('input');
+            input.value = 'ab';
+            input.dispatchEvent(new dom.window.Event('input'));
+            expect(text.value).toBe('a');
+            input.dispatchEvent(new dom.window.Event('change'));
+            expect(text.value).toBe('ab');
+        });
+
+        it('should convert to numbers with .number', () => {
+            container.innerHTML = '<input z-model.number="age">';
+            let age;
+            createApp(() => {
+                age = ref(0);
+                return { age };
+            }).mount(container);
+            const input = container.querySelector('input');
+            input.value = '42';
+            input.dispatchEvent(new dom.window.Event('input'));
+            expect(age.value).toBe(42);
+            input.value = 'abc';
+            input.dispatchEvent(new dom.window.Event('input'));
+            expect(age.value).toBe('abc');
+        });
+
+        it('should write numbers for number and range inputs', () => {
+            container.innerHTML = '<input type="number" z-model="state.qty"><input type="range" z-model="state.volume">';
+            const state = reactive({ qty: 1, volume: 10 });
+            createApp(() => ({ state })).mount(container);
+            const [qty, volume] = container.querySelectorAll('input');
+            qty.value = '3';
+            qty.dispatchEvent(new dom.window.Event('input'));
+            volume.value = '55';
+            volume.dispatchEvent(new dom.window.Event('input'));
+            expect(state.qty).toBe(3);
+            expect(state.volume).toBe(55);
+        });
+
+        it('should trim whitespace with .trim', async () => {
+            container.innerHTML = '<input z-model.trim="name">';
+            let name;
+            createApp(() => {
+                name = ref('');
+                return { name };
+            }).mount(container);
+            const input = container.querySelector('input');
+            input.value = '  Ann  ';
+            input.dispatchEvent(new dom.window.Event('input'));
+            await new Promise(resolve => setTimeout(resolve, 0));
+            expect(name.value).toBe('Ann');
+            // The input keeps what the user typed while the model is unchanged
+            expect(input.value).toBe('  Ann  ');
+        });
+
+        it('should not rewrite the input while typing a number', async () => {
+            container.innerHTML = '<input z-model.number="price">';
+            let price;
+            createApp(() => {
+                price = ref(1);
+                return { price };
+            }).mount(container);
+            const input = container.querySelector('input');
+            input.value = '1.';
+            input.dispatchEvent(new dom.window.Event('input'));
+            await new Promise(resolve => setTimeout(resolve, 0));
+            expect(price.value).toBe(1);
+            expect(input.value).toBe('1.');
+            price.value = 2.5;
+            await new Promise(resolve => setTimeout(resolve, 0));
+            expect(input.value).toBe('2.5');
+        });
+
+        it('should bind a checkbox group to an array', async () => {
+            container.innerHTML = `
+                <input type="checkbox" value="js" z-model="tags">
+                <input type="checkbox" value="css" z-model="tags">
+                <input type="checkbox" value="html" z-model="tags">`;
+            let tags;
+            createApp(() => {
+                tags = ref(['css']);
+                return { tags };
+            }).mount(container);
+            const [js, css, html] = container.querySelectorAll('input');
+            expect([js.checked, css.checked, html.checked]).toEqual([false, true, false]);
+            js.checked = true;
+            js.dispatchEvent(new dom.window.Event('change'));
+            expect(tags.value).toEqual(['css', 'js']);
+            css.checked = false;
+            css.dispatchEvent(new dom.window.Event('change'));
+            expect(tags.value).toEqual(['js']);
+            tags.value = ['html'];
+            await new Promise(resolve => setTimeout(resolve, 0));
+            expect([js.checked, css.checked, html.checked]).toEqual([false, false, true]);
+        });
+
+        it('should bind a checkbox group to a Set', () => {
+            container.innerHTML = '<input type="checkbox" value="a" z-model="picked">';
+            let picked;
+            createApp(() => {
+                picked = ref(new Set());
+                return { picked };
+            }).mount(container);
+            const input = container.querySelector('input');
+            input.checked = true;
+            input.dispatchEvent(new dom.window.Event('change'));
+            expect([...picked.value]).toEqual(['a']);
+        });
+
+        it('should use :true-value and :false-value', async () => {
+            container.innerHTML = '<input type="checkbox" z-model="answer" :true-value="\'yes\'" :false-value="\'no\'">';
+            let answer;
+            createApp(() => {
+                answer = ref('yes');
+                return { answer };
+            }).mount(container);
+            const input = container.querySelector('input');
+            expect(input.checked).toBe(true);
+            input.checked = false;
+            input.dispatchEvent(new dom.window.Event('change'));
+            expect(answer.value).toBe('no');
+            answer.value = 'maybe';
+            await new Promise(resolve => setTimeout(resolve, 0));
+            expect(input.checked).toBe(false);
+        });
+
+        it('should bind <select multiple> to an array', async () => {
+            container.innerHTML = `
+                <select multiple z-model="selected">
+                    <option value="a">A</option><option value="b">B</option><option value="c">C</option>
+                </select>`;
+            let selected;
+            createApp(() => {
+                selected = ref(['b']);
+                return { selected };
+            }).mount(container);
+            const select = container.querySelector('select');
+            expect([...select.options].map(o => o.selected)).toEqual([false, true, false]);
+            select.options[0].selected = true;
+            select.options[2].selected = true;
+            select.dispatchEvent(new dom.window.Event('change'));
+            expect(selected.value).toEqual(['a', 'b', 'c']);
+            selected.value = ['c'];
+            await new Promise(resolve => setTimeout(resolve, 0));
+            expect([...select.options].map(o => o.selected)).toEqual([false, false, true]);
+        });
+
+        it('should keep object values bound with :value on options', () => {
+            container.innerHTML = `
+                <select z-model="chosen">
+                    <option z-for="u in users" :value="u">{{ u.name }}</option>
+                </select>`;
+            let chosen, users;
+            createApp(() => {
+                users = reactive([{ name: 'Ann' }, { name: 'Bob' }]);
+                chosen = ref(users[1]);
+                return { users, chosen };
+            }).mount(container);
+            const select = container.querySelector('select');
+            expect(select.selectedIndex).toBe(1);
+            select.selectedIndex = 0;
+            select.dispatchEvent(new dom.window.Event('change'));
+            expect(chosen.value).toBe(users[0]);
+        });
+
+        it('should write non-string radio values', async () => {
+            container.innerHTML = '<input type="radio" z-model="size" :value="1"><input type="radio" z-model="size" :value="2">';
+            let size;
+            createApp(() => {
+                size = ref(2);
+                return { size };
+            }).mount(container);
+            const [one, two] = container.querySelectorAll('input');
+            expect(two.checked).toBe(true);
+            one.checked = true;
+            one.dispatchEvent(new dom.window.Event('change'));
+            expect(size.value).toBe(1);
+        });
+
+        it('should apply .number to select values', () => {
+            container.innerHTML = '<select z-model.number="n"><option value="1">1</option><option value="2">2</option></select>';
+            let n;
+            createApp(() => {
+                n = ref(1);
+                return { n };
+            }).mount(container);
+            const select = container.querySelector('select');
+            select.selectedIndex = 1;
+            select.dispatchEvent(new dom.window.Event('change'));
+            expect(n.value).toBe(2);
+        });
     });
 
     describe('Event Handlers (@click, @input, etc)', () => {
@@ -496,6 +1049,119 @@ describe('Compiler and Directives', () => {
         });
     });
 
+    describe('Event modifiers', () => {
+        const key = (type, k, init = {}) => new dom.window.KeyboardEvent(type, { key: k, bubbles: true, cancelable: true, ...init });
+
+        it('should listen to the event name without modifiers', () => {
+            container.innerHTML = '<form @submit.prevent="onSubmit"></form>';
+            const onSubmit = vi.fn();
+            createApp(() => ({ onSubmit })).mount(container);
+            const event = new dom.window.Event('submit', { cancelable: true });
+            container.querySelector('form').dispatchEvent(event);
+            expect(onSubmit).toHaveBeenCalledTimes(1);
+            expect(event.defaultPrevented).toBe(true);
+        });
+
+        it('should stop propagation with .stop', () => {
+            container.innerHTML = '<div @click="outer"><button @click.stop="inner">x</button></div>';
+            const outer = vi.fn(), inner = vi.fn();
+            createApp(() => ({ outer, inner })).mount(container);
+            container.querySelector('button').click();
+            expect(inner).toHaveBeenCalledTimes(1);
+            expect(outer).not.toHaveBeenCalled();
+        });
+
+        it('should only handle events from the element itself with .self', () => {
+            container.innerHTML = '<div @click.self="onClick"><span>child</span></div>';
+            const onClick = vi.fn();
+            createApp(() => ({ onClick })).mount(container);
+            container.querySelector('span').click();
+            expect(onClick).not.toHaveBeenCalled();
+            container.querySelector('div').click();
+            expect(onClick).toHaveBeenCalledTimes(1);
+        });
+
+        it('should handle the event only once with .once', () => {
+            container.innerHTML = '<button @click.once="onClick">x</button>';
+            const onClick = vi.fn();
+            createApp(() => ({ onClick })).mount(container);
+            const button = container.querySelector('button');
+            button.click();
+            button.click();
+            expect(onClick).toHaveBeenCalledTimes(1);
+        });
+
+        it('should listen in the capture phase with .capture', () => {
+            container.innerHTML = '<div @click.capture="order.push(\'outer\')"><button @click="order.push(\'inner\')">x</button></div>';
+            const order = [];
+            const app = createApp(() => ({ order })).mount(container);
+            container.querySelector('button').click();
+            expect(order).toEqual(['outer', 'inner']);
+            // Capture listeners are removed on unmount too
+            app.unmount();
+            container.querySelector('button').click();
+            expect(order).toEqual(['outer', 'inner']);
+        });
+
+        it('should register passive listeners with .passive', () => {
+            container.innerHTML = '<div @touchstart.passive="onTouch"></div>';
+            const div = container.querySelector('div');
+            const spy = vi.spyOn(div, 'addEventListener');
+            createApp(() => ({ onTouch() {} })).mount(container);
+            expect(spy).toHaveBeenCalledWith('touchstart', expect.any(Function), { passive: true });
+        });
+
+        it('should filter keyboard events by key', () => {
+            container.innerHTML = '<input @keyup.enter="submit" @keydown.esc="cancel" @keydown.page-down="next">';
+            const submit = vi.fn(), cancel = vi.fn(), next = vi.fn();
+            createApp(() => ({ submit, cancel, next })).mount(container);
+            const input = container.querySelector('input');
+            input.dispatchEvent(key('keyup', 'a'));
+            expect(submit).not.toHaveBeenCalled();
+            input.dispatchEvent(key('keyup', 'Enter'));
+            input.dispatchEvent(key('keydown', 'Escape'));
+            input.dispatchEvent(key('keydown', 'PageDown'));
+            expect(submit).toHaveBeenCalledTimes(1);
+            expect(cancel).toHaveBeenCalledTimes(1);
+            expect(next).toHaveBeenCalledTimes(1);
+        });
+
+        it('should require system keys and support .exact', () => {
+            container.innerHTML = '<button @click.ctrl="withCtrl" @click.exact="plain"></button>';
+            const withCtrl = vi.fn(), plain = vi.fn();
+            createApp(() => ({ withCtrl, plain })).mount(container);
+            const button = container.querySelector('button');
+            button.dispatchEvent(new dom.window.MouseEvent('click', { ctrlKey: true }));
+            button.dispatchEvent(new dom.window.MouseEvent('click'));
+            expect(withCtrl).toHaveBeenCalledTimes(1);
+            expect(plain).toHaveBeenCalledTimes(1);
+        });
+
+        it('should only prevent default when the key matches', () => {
+            container.innerHTML = '<input @keydown.enter.prevent="send">';
+            const send = vi.fn();
+            createApp(() => ({ send })).mount(container);
+            const input = container.querySelector('input');
+            const other = key('keydown', 'a');
+            const enter = key('keydown', 'Enter');
+            input.dispatchEvent(other);
+            input.dispatchEvent(enter);
+            expect(other.defaultPrevented).toBe(false);
+            expect(enter.defaultPrevented).toBe(true);
+            expect(send).toHaveBeenCalledTimes(1);
+        });
+
+        it('should filter mouse buttons', () => {
+            container.innerHTML = '<div @mousedown.right="onRight"></div>';
+            const onRight = vi.fn();
+            createApp(() => ({ onRight })).mount(container);
+            const div = container.querySelector('div');
+            div.dispatchEvent(new dom.window.MouseEvent('mousedown', { button: 0 }));
+            div.dispatchEvent(new dom.window.MouseEvent('mousedown', { button: 2 }));
+            expect(onRight).toHaveBeenCalledTimes(1);
+        });
+    });
+
     describe('Attribute Binding (:attr)', () => {
         it('should bind attributes', () => {
             container.innerHTML = '<div :id="divId"></div>';
@@ -556,6 +1222,761 @@ describe('Compiler and Directives', () => {
         });
     });
 
+    describe('Components', () => {
+        it('should render a registered component with props', async () => {
+            container.innerHTML = '<user-card :user="u"></user-card>';
+            let u;
+            createApp(() => {
+                u = reactive({ name: 'Ann' });
+                return { u };
+            }).component('UserCard', {
+                template: '<p>{{ user.name }}</p>',
+                props: ['user']
+            }).mount(container);
+            const card = container.querySelector('user-card');
+            expect(card.querySelector('p').textContent).toBe('Ann');
+            u.name = 'Bob';
+            await new Promise(resolve => setTimeout(resolve, 0));
+            expect(card.querySelector('p').textContent).toBe('Bob');
+        });
+
+        it('should not subscribe an enclosing z-if to state read in setup', async () => {
+            container.innerHTML = '<div z-if="isShown()"><x-count></x-count></div>';
+            const external = ref(0);
+            const isShown = vi.fn(() => true);
+            createApp(() => ({ isShown }))
+                .component('x-count', { template: '<span>{{ n }}</span>', setup: () => ({ n: external.value }) })
+                .mount(container);
+            external.value++;
+            await new Promise(resolve => setTimeout(resolve, 0));
+            expect(isShown).toHaveBeenCalledTimes(1);
+            expect(container.querySelector('span').textContent).toBe('0');
+        });
+
+        it('should update props when the parent expression changes', async () => {
+            container.innerHTML = '<my-count :value="count * 2" label="Total"></my-count>';
+            let count;
+            createApp(() => {
+                count = ref(1);
+                return { count };
+            }).component('my-count', {
+                template: '<span>{{ label }}: {{ value }}</span>',
+                props: { value: Number, label: { type: String, default: 'Count' } }
+            }).mount(container);
+            const span = container.querySelector('span');
+            expect(span.textContent).toBe('Total: 2');
+            count.value = 5;
+            await new Promise(resolve => setTimeout(resolve, 0));
+            expect(span.textContent).toBe('Total: 10');
+        });
+
+        it('should apply prop defaults and cast static values', () => {
+            container.innerHTML = '<x-item disabled size="3"></x-item>';
+            createApp(() => ({})).component('x-item', {
+                template: '<b>{{ title }}|{{ disabled }}|{{ size + 1 }}|{{ tags.length }}</b>',
+                props: {
+                    title: { default: 'Untitled' },
+                    disabled: Boolean,
+                    size: Number,
+                    tags: { type: Array, default: () => [] }
+                }
+            }).mount(container);
+            expect(container.querySelector('b').textContent).toBe('Untitled|true|4|0');
+        });
+
+        it('should give each instance its own setup state', async () => {
+            container.innerHTML = '<counter-btn></counter-btn><counter-btn></counter-btn>';
+            createApp(() => ({})).component('counter-btn', {
+                template: '<button @click="count.value++">{{ count }}</button>',
+                setup() {
+                    return { count: ref(0) };
+                }
+            }).mount(container);
+            const [a, b] = container.querySelectorAll('button');
+            a.dispatchEvent(new dom.window.Event('click'));
+            await new Promise(resolve => setTimeout(resolve, 0));
+            expect(a.textContent).toBe('1');
+            expect(b.textContent).toBe('0');
+        });
+
+        it('should pass reactive props to setup', async () => {
+            container.innerHTML = '<x-double :n="n"></x-double>';
+            let n;
+            createApp(() => {
+                n = ref(2);
+                return { n };
+            }).component('x-double', {
+                template: '<i>{{ doubled }}</i>',
+                props: ['n'],
+                setup(props) {
+                    return { doubled: computed(() => props.n * 2) };
+                }
+            }).mount(container);
+            expect(container.querySelector('i').textContent).toBe('4');
+            n.value = 3;
+            await new Promise(resolve => setTimeout(resolve, 0));
+            expect(container.querySelector('i').textContent).toBe('6');
+        });
+
+        it('should emit events to the parent', () => {
+            container.innerHTML = '<user-card :user="u" @select="pick"></user-card>';
+            const pick = vi.fn();
+            const u = { name: 'Ann' };
+            createApp(() => ({ u, pick })).component('user-card', {
+                template: '<button @click="choose">{{ user.name }}</button>',
+                props: ['user'],
+                emits: ['select'],
+                setup(props, { emit }) {
+                    return { choose: () => emit('select', props.user) };
+                }
+            }).mount(container);
+            container.querySelector('button').dispatchEvent(new dom.window.Event('click'));
+            expect(pick).toHaveBeenCalledTimes(1);
+            expect(pick.mock.calls[0][0].name).toBe('Ann');
+        });
+
+        it('should support $emit and inline listener expressions', async () => {
+            container.innerHTML = '<p>{{ state.total }}</p><x-add @item-added="state.total += e"></x-add>';
+            createApp(() => ({ state: reactive({ total: 0 }) })).component('x-add', {
+                template: `<button @click="$emit('itemAdded', 5)">+</button>`,
+                emits: ['itemAdded']
+            }).mount(container);
+            // Inline expressions receive the payload as 'e'
+            container.querySelector('button').dispatchEvent(new dom.window.Event('click'));
+            await new Promise(resolve => setTimeout(resolve, 0));
+            expect(container.querySelector('p').textContent).toBe('5');
+        });
+
+        it('should let a z-for alias in the template shadow a prop', async () => {
+            container.innerHTML = '<x-list :item="title" :list="list"></x-list>';
+            createApp(() => ({ title: 'TITLE', list: ['a', 'b'] }))
+                .component('x-list', {
+                    template: '<h1>{{ item }}</h1><li z-for="item in list">{{ item }}</li>',
+                    props: ['item', 'list']
+                })
+                .mount(container);
+            await new Promise(resolve => setTimeout(resolve, 0));
+            expect(container.querySelector('x-list').textContent).toBe('TITLEab');
+        });
+
+        it('should pass prop values, not refs, to inline listener expressions', async () => {
+            container.innerHTML = '<x-card :user="user" @select="pick"></x-card><p>{{ picked.name }}</p>';
+            const picked = ref({});
+            createApp(() => ({ user: { name: 'Ann' }, picked, pick: u => { picked.value = u; } }))
+                .component('x-card', {
+                    template: `<div @click="$emit('select', user)">{{ user.name }}</div>`,
+                    props: ['user'],
+                    emits: ['select']
+                })
+                .mount(container);
+            container.querySelector('div').dispatchEvent(new dom.window.Event('click'));
+            await new Promise(resolve => setTimeout(resolve, 0));
+            expect(picked.value).toEqual({ name: 'Ann' });
+            expect(container.querySelector('p').textContent).toBe('Ann');
+        });
+
+        it('should warn when emitting an undeclared event', () => {
+            const spy = vi.spyOn(console, 'warn').mockImplementation(() => {});
+            container.innerHTML = '<x-btn></x-btn>';
+            createApp(() => ({})).component('x-btn', {
+                template: `<button @click="$emit('other')">x</button>`,
+                emits: ['press']
+            }).mount(container);
+            container.querySelector('button').dispatchEvent(new dom.window.Event('click'));
+            expect(spy).toHaveBeenCalledWith('Component emitted undeclared event "other".');
+            spy.mockRestore();
+        });
+
+        it('should keep other host attributes bound in the parent scope', () => {
+            container.innerHTML = '<x-box class="box" :class="{ on: state.active }" @click="state.clicks++"></x-box>';
+            const state = reactive({ active: true, clicks: 0 });
+            createApp(() => ({ state }))
+                .component('x-box', { template: '<span>box</span>' })
+                .mount(container);
+            const host = container.querySelector('x-box');
+            expect(host.getAttribute('class')).toBe('box on');
+            host.querySelector('span').dispatchEvent(new dom.window.Event('click', { bubbles: true }));
+            expect(state.clicks).toBe(1);
+        });
+
+        it('should not expose the parent scope to the component template', () => {
+            container.innerHTML = '<x-iso></x-iso>';
+            createApp(() => ({ secret: 'parent' })).component('x-iso', {
+                template: '<p>{{ typeof secret }}</p>'
+            }).mount(container);
+            expect(container.querySelector('p').textContent).toBe('undefined');
+        });
+
+        it('should read the template from a <template> element', () => {
+            container.innerHTML = '<template id="tpl-hello"><h2>Hi {{ name }}</h2></template><x-hello name="Zog"></x-hello>';
+            createApp(() => ({})).component('x-hello', {
+                template: '#tpl-hello',
+                props: ['name']
+            }).mount(container);
+            expect(container.querySelector('x-hello h2').textContent).toBe('Hi Zog');
+        });
+
+        it('should render components inside z-for and clean them up', async () => {
+            container.innerHTML = '<ul><x-li z-for="item in items" :key="item.id" :item="item"></x-li></ul>';
+            let items;
+            const disposed = vi.fn();
+            createApp(() => {
+                items = reactive([{ id: 1, text: 'a' }, { id: 2, text: 'b' }]);
+                return { items };
+            }).component('x-li', {
+                template: '<li>{{ item.text }}</li>',
+                props: ['item'],
+                setup() {
+                    onScopeDispose(disposed);
+                }
+            }).mount(container);
+            expect([...container.querySelectorAll('li')].map(li => li.textContent)).toEqual(['a', 'b']);
+            items.splice(0, 1);
+            await new Promise(resolve => setTimeout(resolve, 0));
+            expect([...container.querySelectorAll('li')].map(li => li.textContent)).toEqual(['b']);
+            expect(disposed).toHaveBeenCalledTimes(1);
+        });
+
+        it('should render nested components', () => {
+            container.innerHTML = '<x-outer></x-outer>';
+            createApp(() => ({}))
+                .component('x-outer', { template: '<x-inner msg="deep"></x-inner>' })
+                .component('x-inner', { template: '<em>{{ msg }}</em>', props: ['msg'] })
+                .mount(container);
+            expect(container.querySelector('em').textContent).toBe('deep');
+        });
+
+        it('should return a registered component', () => {
+            const def = defineComponent({ template: '<p></p>' });
+            const app = createApp(() => ({})).component('MyThing', def);
+            expect(app.component('my-thing')).toBe(def);
+        });
+    });
+
+    describe('z-include and slots', () => {
+        it('should render a template partial with :with bindings', async () => {
+            container.innerHTML = `
+                <template id="card-tpl"><h3>{{ title }}</h3><ul><li z-for="i in items">{{ i }}</li></ul></template>
+                <div z-include="'#card-tpl'" :with="{ title: card.name, items: card.items }"></div>`;
+            let card;
+            createApp(() => {
+                card = reactive({ name: 'Inbox', items: ['a', 'b'] });
+                return { card };
+            }).mount(container);
+            const host = container.querySelector('div');
+            expect(host.querySelector('h3').textContent).toBe('Inbox');
+            expect(host.querySelectorAll('li').length).toBe(2);
+            card.name = 'Archive';
+            card.items.push('c');
+            await new Promise(resolve => setTimeout(resolve, 0));
+            expect(host.querySelector('h3').textContent).toBe('Archive');
+            expect(host.querySelectorAll('li').length).toBe(3);
+        });
+
+        it('should evaluate :with once per change and pick up new keys', async () => {
+            container.innerHTML = `
+                <template id="pair"><p>{{ a }}</p><i>{{ b }}</i></template>
+                <div z-include="'#pair'" :with="pair()"></div>`;
+            const full = ref(false);
+            const pair = vi.fn(() => full.value ? { a: 'A', b: 'B' } : { a: 'A' });
+            createApp(() => ({ pair })).mount(container);
+            expect(container.querySelector('p').textContent).toBe('A');
+            expect(container.querySelector('i').textContent).toBe('');
+            expect(pair).toHaveBeenCalledTimes(1);
+            full.value = true;
+            await new Promise(resolve => setTimeout(resolve, 0));
+            expect(container.querySelector('i').textContent).toBe('B');
+            expect(pair).toHaveBeenCalledTimes(2);
+        });
+
+        it('should let z-for aliases in the partial shadow :with keys', async () => {
+            container.innerHTML = `
+                <template id="heads"><li z-for="item in list">{{ item }}</li><p>{{ item }}</p></template>
+                <div z-include="'#heads'" :with="{ item: head, list }"></div>`;
+            createApp(() => ({ head: 'HEAD', list: ['a', 'b'] })).mount(container);
+            await new Promise(resolve => setTimeout(resolve, 0));
+            expect(container.querySelector('p').textContent).toBe('HEAD');
+            expect([...container.querySelectorAll('li')].map(li => li.textContent)).toEqual(['a', 'b']);
+        });
+
+        it('should let partials read the host scope', () => {
+            container.innerHTML = '<template id="greet"><p>{{ greeting }}, {{ name }}</p></template><div z-include="\'#greet\'" :with="{ name: \'Ann\' }"></div>';
+            createApp(() => ({ greeting: ref('Hi') })).mount(container);
+            expect(container.querySelector('p').textContent).toBe('Hi, Ann');
+        });
+
+        it('should project default and named slot content', () => {
+            container.innerHTML = `
+                <template id="panel"><section><slot></slot><footer><slot name="footer">No footer</slot></footer></section></template>
+                <div id="a" z-include="'#panel'"><b>{{ body }}</b><i slot="footer">{{ foot }}</i></div>
+                <div id="b" z-include="'#panel'"><b>Only body</b></div>`;
+            createApp(() => ({ body: ref('Body'), foot: ref('Foot') })).mount(container);
+            const a = container.querySelector('#a');
+            expect(a.querySelector('section > b').textContent).toBe('Body');
+            expect(a.querySelector('footer').textContent).toBe('Foot');
+            expect(a.querySelector('slot')).toBeNull();
+            expect(container.querySelector('#b footer').textContent).toBe('No footer');
+        });
+
+        it('should compile slot content against the host scope', async () => {
+            container.innerHTML = `
+                <template id="box"><p>{{ label }}: <slot></slot></p></template>
+                <div z-include="'#box'" :with="{ label: 'Inner' }"><span>{{ label }}</span></div>`;
+            let label;
+            createApp(() => {
+                label = ref('Outer');
+                return { label };
+            }).mount(container);
+            expect(container.querySelector('p').textContent).toBe('Inner: Outer');
+            label.value = 'Changed';
+            await new Promise(resolve => setTimeout(resolve, 0));
+            expect(container.querySelector('span').textContent).toBe('Changed');
+        });
+
+        it('should fill slots rendered by z-if inside the partial', async () => {
+            container.innerHTML = `
+                <template id="toggle"><div z-if="open"><slot></slot></div></template>
+                <div z-include="'#toggle'" :with="{ open: isOpen }"><em>{{ msg }}</em></div>`;
+            let isOpen;
+            createApp(() => {
+                isOpen = ref(false);
+                return { isOpen, msg: 'Shown' };
+            }).mount(container);
+            expect(container.querySelector('em')).toBeNull();
+            isOpen.value = true;
+            await new Promise(resolve => setTimeout(resolve, 0));
+            expect(container.querySelector('em').textContent).toBe('Shown');
+        });
+
+        it('should re-render when the template expression changes', async () => {
+            container.innerHTML = `
+                <template id="view-a"><p>A</p></template>
+                <template id="view-b"><p>B</p></template>
+                <div z-include="view"></div>`;
+            let view;
+            createApp(() => {
+                view = ref('#view-a');
+                return { view };
+            }).mount(container);
+            const host = container.querySelector('div');
+            expect(host.textContent).toBe('A');
+            view.value = '#view-b';
+            await new Promise(resolve => setTimeout(resolve, 0));
+            expect(host.textContent).toBe('B');
+        });
+
+        it('should warn when the template is missing', () => {
+            const spy = vi.spyOn(console, 'warn').mockImplementation(() => {});
+            container.innerHTML = '<div z-include="\'#missing\'"></div>';
+            createApp(() => ({})).mount(container);
+            expect(spy).toHaveBeenCalledWith('z-include template not found:', '#missing');
+            spy.mockRestore();
+        });
+
+        it('should project slot content into components', () => {
+            container.innerHTML = '<x-card title="Hello"><p>{{ text }}</p><template slot="actions"><button>OK</button></template></x-card>';
+            createApp(() => ({ text: 'Parent text' })).component('x-card', {
+                template: '<h2>{{ title }}</h2><slot></slot><div class="actions"><slot name="actions"></slot></div>',
+                props: ['title']
+            }).mount(container);
+            expect(container.querySelector('h2').textContent).toBe('Hello');
+            expect(container.querySelector('p').textContent).toBe('Parent text');
+            expect(container.querySelector('.actions button').textContent).toBe('OK');
+        });
+    });
+
+    describe('Custom directives', () => {
+        it('should call mounted with the binding after the element is inserted', async () => {
+            container.innerHTML = '<ul><li z-for="item in items" z-mark:label.upper.fast="item"></li></ul>';
+            const calls = [];
+            createApp(() => ({ items: reactive(['a']) }))
+                .directive('mark', {
+                    mounted(el, binding) {
+                        calls.push({ connected: el.isConnected, ...binding });
+                    }
+                })
+                .mount(container);
+            await new Promise(resolve => setTimeout(resolve, 0));
+            expect(calls).toEqual([{
+                connected: true, value: 'a', oldValue: undefined,
+                arg: 'label', modifiers: { upper: true, fast: true }
+            }]);
+            expect(container.querySelector('li').hasAttribute('z-mark:label.upper.fast')).toBe(false);
+        });
+
+        it('should not let custom directives replace built-in ones', () => {
+            container.innerHTML = '<p z-show="visible" z-text="msg"></p>';
+            const spy = vi.spyOn(console, 'warn').mockImplementation(() => {});
+            const hook = vi.fn();
+            const app = createApp(() => ({ visible: false, msg: 'Hi' }))
+                .directive('show', hook)
+                .directive('text', hook);
+            app.mount(container);
+            expect(spy).toHaveBeenCalledWith('Directive "show" is built in and can\'t be replaced.');
+            expect(app.directive('show')).toBeUndefined();
+            const p = container.querySelector('p');
+            expect(p.style.display).toBe('none');
+            expect(p.textContent).toBe('Hi');
+            expect(hook).not.toHaveBeenCalled();
+            spy.mockRestore();
+        });
+
+        it('should call updated with value and oldValue', async () => {
+            container.innerHTML = '<p z-color="color">Text</p>';
+            let color;
+            const updated = vi.fn();
+            createApp(() => {
+                color = ref('red');
+                return { color };
+            }).directive('color', {
+                mounted: (el, { value }) => el.style.color = value,
+                updated: (el, { value, oldValue }) => {
+                    el.style.color = value;
+                    updated(value, oldValue);
+                }
+            }).mount(container);
+            await new Promise(resolve => setTimeout(resolve, 0));
+            const p = container.querySelector('p');
+            expect(p.style.color).toBe('red');
+            color.value = 'blue';
+            await new Promise(resolve => setTimeout(resolve, 0));
+            expect(p.style.color).toBe('blue');
+            expect(updated).toHaveBeenCalledWith('blue', 'red');
+        });
+
+        it('should accept a function as mounted and updated hook', async () => {
+            container.innerHTML = '<p z-text-size="size"></p>';
+            let size;
+            createApp(() => {
+                size = ref(10);
+                return { size };
+            }).directive('textSize', (el, binding) => el.style.fontSize = binding.value + 'px').mount(container);
+            await new Promise(resolve => setTimeout(resolve, 0));
+            const p = container.querySelector('p');
+            expect(p.style.fontSize).toBe('10px');
+            size.value = 12;
+            await new Promise(resolve => setTimeout(resolve, 0));
+            expect(p.style.fontSize).toBe('12px');
+        });
+
+        it('should call unmounted when the element scope is cleaned up', async () => {
+            container.innerHTML = '<div z-if="show"><input z-focus></div>';
+            let show;
+            const hooks = { mounted: vi.fn(), unmounted: vi.fn() };
+            createApp(() => {
+                show = ref(true);
+                return { show };
+            }).directive('focus', hooks).mount(container);
+            await new Promise(resolve => setTimeout(resolve, 0));
+            expect(hooks.mounted).toHaveBeenCalledTimes(1);
+            show.value = false;
+            await new Promise(resolve => setTimeout(resolve, 0));
+            expect(hooks.unmounted).toHaveBeenCalledTimes(1);
+            expect(hooks.unmounted.mock.calls[0][0].tagName).toBe('INPUT');
+        });
+
+        it('should not track reads inside hooks', async () => {
+            container.innerHTML = '<p z-peek></p>';
+            let other;
+            const mounted = vi.fn(() => other.value);
+            const updated = vi.fn();
+            createApp(() => {
+                other = ref(0);
+                return { other };
+            }).directive('peek', { mounted, updated }).mount(container);
+            await new Promise(resolve => setTimeout(resolve, 0));
+            other.value = 1;
+            await new Promise(resolve => setTimeout(resolve, 0));
+            expect(updated).not.toHaveBeenCalled();
+        });
+
+        it('should leave unregistered z- attributes as attribute bindings', () => {
+            container.innerHTML = '<p z-title="msg"></p>';
+            createApp(() => ({ msg: 'Hello' })).mount(container);
+            expect(container.querySelector('p').getAttribute('title')).toBe('Hello');
+        });
+
+        it('should return a registered directive', () => {
+            const focus = { mounted: el => el.focus() };
+            const app = createApp(() => ({})).directive('focus', focus);
+            expect(app.directive('focus')).toBe(focus);
+        });
+    });
+
+    describe('Template refs (z-ref)', () => {
+        it('should set a ref declared in setup', () => {
+            container.innerHTML = '<input z-ref="input">';
+            let input;
+            createApp(() => {
+                input = ref(null);
+                return { input };
+            }).mount(container);
+            expect(input.value).toBe(container.querySelector('input'));
+            expect(container.querySelector('input').hasAttribute('z-ref')).toBe(false);
+        });
+
+        it('should expose undeclared refs on $refs', () => {
+            container.innerHTML = '<input z-ref="field"><button @click="focus">Go</button>';
+            createApp(() => ({
+                focus() { this.$refs.field.focus(); }
+            })).mount(container);
+            container.querySelector('button').click();
+            expect(document.activeElement).toBe(container.querySelector('input'));
+        });
+
+        it('should accept a frozen setup return', () => {
+            container.innerHTML = '<p z-ref="para">{{ title }}</p>';
+            const errorSpy = vi.spyOn(console, 'error').mockImplementation(() => {});
+            let app;
+            expect(() => {
+                app = createApp(() => Object.freeze({ title: 'Hi' })).mount(container);
+            }).not.toThrow();
+            expect(errorSpy).not.toHaveBeenCalled();
+            expect(container.querySelector('p').textContent).toBe('Hi');
+            app.unmount();
+            errorSpy.mockRestore();
+        });
+
+        it('should not add $refs to a reactive setup return', async () => {
+            container.innerHTML = '<p z-ref="para">{{ count }}</p>';
+            const state = reactive({ count: 0 });
+            createApp(() => state).mount(container);
+            expect(Object.keys(state)).toEqual(['count']);
+            expect(JSON.stringify(state)).toBe('{"count":0}');
+            state.count++;
+            await new Promise(resolve => setTimeout(resolve, 0));
+            expect(container.querySelector('p').textContent).toBe('1');
+        });
+
+        it('should collect arrays of elements inside z-for', async () => {
+            container.innerHTML = '<ul><li z-for="item in items" z-ref="rows">{{ item }}</li></ul>';
+            let items, rows;
+            createApp(() => {
+                items = reactive(['a', 'b', 'c']);
+                rows = ref([]);
+                return { items, rows };
+            }).mount(container);
+            expect(rows.value.map(li => li.textContent)).toEqual(['a', 'b', 'c']);
+            items.splice(1, 1);
+            await new Promise(resolve => setTimeout(resolve, 0));
+            expect(rows.value.map(li => li.textContent)).toEqual(['a', 'c']);
+        });
+
+        it('should clear entries when the scope is cleaned up', async () => {
+            container.innerHTML = '<p z-if="show" z-ref="para">Hi</p><span>{{ $refs.para ? "yes" : "no" }}</span>';
+            let show;
+            createApp(() => {
+                show = ref(true);
+                return { show };
+            }).mount(container);
+            expect(container.querySelector('span').textContent).toBe('yes');
+            show.value = false;
+            await new Promise(resolve => setTimeout(resolve, 0));
+            expect(container.querySelector('span').textContent).toBe('no');
+            show.value = true;
+            await new Promise(resolve => setTimeout(resolve, 0));
+            expect(container.querySelector('span').textContent).toBe('yes');
+        });
+
+        it('should keep refs separate per component instance', () => {
+            container.innerHTML = '<my-field></my-field><my-field></my-field>';
+            const fields = [];
+            createApp(() => ({}))
+                .component('my-field', {
+                    template: '<input z-ref="input">',
+                    setup() {
+                        const input = ref(null);
+                        fields.push(input);
+                        return { input };
+                    }
+                })
+                .mount(container);
+            const inputs = container.querySelectorAll('input');
+            expect(fields[0].value).toBe(inputs[0]);
+            expect(fields[1].value).toBe(inputs[1]);
+        });
+    });
+
+    describe('Transitions', () => {
+        // Timeouts and animation frames are faked; waiting advances them and flushes effects
+        const wait = ms => vi.advanceTimersByTimeAsync(ms);
+
+        beforeEach(() => {
+            vi.useFakeTimers();
+        });
+
+        afterEach(() => {
+            vi.useRealTimers();
+        });
+
+        it('should not animate the first render', () => {
+            container.innerHTML = '<p z-if="show" z-transition="fade">Hi</p>';
+            createApp(() => ({ show: ref(true) })).mount(container);
+            expect(container.querySelector('p').className).toBe('');
+            expect(container.querySelector('p').hasAttribute('z-transition')).toBe(false);
+        });
+
+        it('should apply enter classes to z-if and finish without CSS durations', async () => {
+            container.innerHTML = '<p z-if="show" z-transition="fade">Hi</p>';
+            let show;
+            createApp(() => {
+                show = ref(false);
+                return { show };
+            }).mount(container);
+            show.value = true;
+            await wait(0);
+            const p = container.querySelector('p');
+            expect([...p.classList]).toEqual(['fade-enter-from', 'fade-enter-active']);
+            await wait(60);
+            expect(p.className).toBe('');
+        });
+
+        it('should keep a leaving z-if element until transitionend', async () => {
+            container.innerHTML = '<p z-if="show" z-transition="fade" style="transition-duration: 1s">Hi</p>';
+            let show;
+            createApp(() => {
+                show = ref(true);
+                return { show };
+            }).mount(container);
+            const p = container.querySelector('p');
+            show.value = false;
+            await wait(0);
+            expect(p.isConnected).toBe(true);
+            expect(p.classList.contains('fade-leave-active')).toBe(true);
+            await wait(60);
+            expect([...p.classList]).toEqual(['fade-leave-active', 'fade-leave-to']);
+            p.dispatchEvent(new dom.window.Event('transitionend'));
+            expect(p.isConnected).toBe(false);
+            expect(p.className).toBe('');
+        });
+
+        it('should end after the CSS duration when no end event fires', async () => {
+            container.innerHTML = '<p z-if="show" z-transition style="transition-duration: 20ms">Hi</p>';
+            let show;
+            createApp(() => {
+                show = ref(true);
+                return { show };
+            }).mount(container);
+            const p = container.querySelector('p');
+            show.value = false;
+            await wait(0);
+            expect(p.classList.contains('z-leave-active')).toBe(true);
+            // Two frames, then the 20ms fallback timer
+            await wait(40);
+            expect(p.isConnected).toBe(true);
+            await wait(20);
+            expect(p.isConnected).toBe(false);
+        });
+
+        it('should call JS hooks and wait for done()', async () => {
+            container.innerHTML = '<p z-if="show" z-transition="hooks">Hi</p>';
+            let show, finish;
+            const calls = [];
+            const hooks = {
+                onBeforeEnter: () => calls.push('beforeEnter'),
+                onEnter: (el, done) => { calls.push('enter'); finish = done; },
+                onAfterEnter: () => calls.push('afterEnter')
+            };
+            createApp(() => {
+                show = ref(false);
+                return { show, hooks };
+            }).mount(container);
+            show.value = true;
+            await wait(60);
+            expect(calls).toEqual(['beforeEnter', 'enter']);
+            expect(container.querySelector('p').classList.contains('z-enter-active')).toBe(true);
+            finish();
+            expect(calls).toEqual(['beforeEnter', 'enter', 'afterEnter']);
+            expect(container.querySelector('p').className).toBe('');
+        });
+
+        it('should hide z-show after the leave transition and cancel it when shown again', async () => {
+            container.innerHTML = '<p z-show="visible" z-transition="fade" style="transition-duration: 1s">Hi</p>';
+            let visible;
+            createApp(() => {
+                visible = ref(true);
+                return { visible };
+            }).mount(container);
+            const p = container.querySelector('p');
+            visible.value = false;
+            await wait(0);
+            expect(p.style.display).toBe('');
+            expect(p.classList.contains('fade-leave-active')).toBe(true);
+            visible.value = true;
+            await wait(0);
+            expect(p.classList.contains('fade-leave-active')).toBe(false);
+            expect(p.classList.contains('fade-enter-active')).toBe(true);
+            p.dispatchEvent(new dom.window.Event('transitionend'));
+            visible.value = false;
+            await wait(60);
+            p.dispatchEvent(new dom.window.Event('transitionend'));
+            expect(p.style.display).toBe('none');
+        });
+
+        it('should animate z-for items entering and leaving', async () => {
+            container.innerHTML = '<ul><li z-for="item in items" :key="item" z-transition="list" style="transition-duration: 1s">{{ item }}</li></ul>';
+            let items;
+            createApp(() => {
+                items = reactive(['a', 'b']);
+                return { items };
+            }).mount(container);
+            const [a] = container.querySelectorAll('li');
+            items.splice(0, 1, 'c');
+            await wait(0);
+            const lis = [...container.querySelectorAll('li')];
+            expect(lis.map(li => li.textContent)).toEqual(['c', 'a', 'b']);
+            expect(lis[0].classList.contains('list-enter-active')).toBe(true);
+            expect(a.classList.contains('list-leave-active')).toBe(true);
+            await wait(60);
+            a.dispatchEvent(new dom.window.Event('transitionend'));
+            expect([...container.querySelectorAll('li')].map(li => li.textContent)).toEqual(['c', 'b']);
+        });
+
+        it('should apply move classes to z-for items that changed position', async () => {
+            container.innerHTML = '<ul><li z-for="item in items" :key="item" z-transition="list">{{ item }}</li></ul>';
+            let items;
+            createApp(() => {
+                items = reactive(['a', 'b']);
+                return { items };
+            }).mount(container);
+            // jsdom has no layout: derive positions from the DOM order
+            container.querySelectorAll('li').forEach(li => {
+                li.getBoundingClientRect = () => {
+                    const top = [...li.parentNode.children].indexOf(li) * 20;
+                    return { top, left: 0 };
+                };
+            });
+            const [a, b] = container.querySelectorAll('li');
+            items.reverse();
+            await wait(0);
+            expect(a.classList.contains('list-move')).toBe(true);
+            expect(b.classList.contains('list-move')).toBe(true);
+            expect(a.style.transform).toBe('');
+            await wait(20);
+            expect(a.classList.contains('list-move')).toBe(false);
+        });
+    });
+
+    describe('Effect flush timing', () => {
+        it('should run pre effects before and post effects after DOM updates', async () => {
+            container.innerHTML = '<p>{{ count }}</p>';
+            let count;
+            const seen = { pre: [], post: [] };
+            createApp(() => {
+                count = ref(0);
+                return { count };
+            }).mount(container);
+            const p = container.querySelector('p');
+            watchEffect(() => { count.value; seen.pre.push(p.textContent); });
+            watchEffect(() => { count.value; seen.post.push(p.textContent); }, { flush: 'post' });
+            await new Promise(resolve => setTimeout(resolve, 0));
+            count.value = 1;
+            await new Promise(resolve => setTimeout(resolve, 0));
+            expect(seen.pre).toEqual(['0', '0']);
+            expect(seen.post).toEqual(['0', '1']);
+        });
+    });
+
     describe('App Lifecycle', () => {
         it('should mount app successfully', () => {
             container.innerHTML = '<div>{{ message }}</div>';
@@ -583,6 +2004,27 @@ describe('Compiler and Directives', () => {
             expect(container.querySelector('div').textContent).toBe('Hello');
         });
 
+        it('should stop composable scopes created in setup on unmount', async () => {
+            container.innerHTML = '<div>{{ count }}</div>';
+            const disposed = vi.fn();
+            let count, runs = 0;
+            const app = createApp(() => {
+                count = ref(0);
+                // Composable owns its own scope, collected by the app's root scope
+                effectScope().run(() => {
+                    watchEffect(() => { count.value; runs++; });
+                    onScopeDispose(disposed);
+                });
+                return { count };
+            });
+            app.mount(container);
+            app.unmount();
+            expect(disposed).toHaveBeenCalledTimes(1);
+            count.value = 1;
+            await new Promise(resolve => setTimeout(resolve, 0));
+            expect(runs).toBe(1);
+        });
+
         it('should handle mount selector not found', () => {
             const spy = vi.spyOn(console, 'error').mockImplementation(() => {});
             const app = createApp(() => ({}));
@@ -591,4 +2033,298 @@ describe('Compiler and Directives', () => {
             spy.mockRestore();
         });
     });
+
+    describe('Lifecycle hooks', () => {
+        it('should call onMounted after the template is compiled', () => {
+            container.innerHTML = '<input z-ref="input" :value="name">';
+            let seen;
+            createApp(() => {
+                const input = ref(null);
+                const name = ref('Ada');
+                onMounted(() => { seen = input.value.value; });
+                return { input, name };
+            }).mount(container);
+            expect(seen).toBe('Ada');
+        });
+
+        it('should call onUnmounted when the app is unmounted', () => {
+            container.innerHTML = '<div></div>';
+            const unmounted = vi.fn();
+            const app = createApp(() => {
+                onUnmounted(unmounted);
+                return {};
+            });
+            app.mount(container);
+            expect(unmounted).not.toHaveBeenCalled();
+            app.unmount();
+            expect(unmounted).toHaveBeenCalledTimes(1);
+        });
+
+        it('should call onBeforeUpdate and onUpdated around a flush', async () => {
+            container.innerHTML = '<p>{{ count }}</p>';
+            const calls = [];
+            let count;
+            createApp(() => {
+                count = ref(0);
+                onBeforeUpdate(() => calls.push('before:' + container.querySelector('p').textContent));
+                onUpdated(() => calls.push('after:' + container.querySelector('p').textContent));
+                return { count };
+            }).mount(container);
+            expect(calls).toEqual([]);
+            count.value++;
+            count.value++;
+            await new Promise(resolve => setTimeout(resolve, 0));
+            expect(calls).toEqual(['before:0', 'after:2']);
+        });
+
+        it('should only call update hooks of the component that re-rendered', async () => {
+            container.innerHTML = '<p>{{ title }}</p><my-count></my-count>';
+            const updated = vi.fn();
+            let title;
+            createApp(() => {
+                title = ref('A');
+                return { title };
+            }).component('my-count', {
+                template: '<span>{{ n }}</span>',
+                setup() {
+                    onUpdated(updated);
+                    return { n: ref(1) };
+                }
+            }).mount(container);
+            title.value = 'B';
+            await new Promise(resolve => setTimeout(resolve, 0));
+            expect(container.querySelector('p').textContent).toBe('B');
+            expect(updated).not.toHaveBeenCalled();
+        });
+
+        it('should mount and unmount components', async () => {
+            container.innerHTML = '<my-item z-if="show"></my-item>';
+            const calls = [];
+            let show;
+            createApp(() => {
+                show = ref(true);
+                onMounted(() => calls.push('app mounted'));
+                return { show };
+            }).component('my-item', {
+                template: '<span>Item</span>',
+                setup() {
+                    onMounted(() => calls.push('mounted ' + container.querySelector('span').isConnected));
+                    onUnmounted(() => calls.push('unmounted'));
+                    return {};
+                }
+            }).mount(container);
+            expect(calls).toEqual(['mounted true', 'app mounted']);
+
+            show.value = false;
+            await new Promise(resolve => setTimeout(resolve, 0));
+            expect(calls.slice(2)).toEqual(['unmounted']);
+
+            show.value = true;
+            await new Promise(resolve => setTimeout(resolve, 0));
+            expect(calls.slice(3)).toEqual(['mounted true']);
+        });
+
+        it('should warn when called outside of setup', () => {
+            const spy = vi.spyOn(console, 'warn').mockImplementation(() => {});
+            onMounted(() => {});
+            expect(spy).toHaveBeenCalledWith('onMounted() called outside of an app or component setup.');
+            spy.mockRestore();
+        });
+    });
+
+    describe('Provide / inject', () => {
+        it('should inject values from app.provide()', () => {
+            container.innerHTML = '<my-label></my-label>';
+            createApp(() => ({}))
+                .provide('greeting', 'Hello')
+                .component('my-label', {
+                    template: '<span>{{ text }}</span>',
+                    setup: () => ({ text: inject('greeting') })
+                })
+                .mount(container);
+            expect(container.querySelector('span').textContent).toBe('Hello');
+        });
+
+        it('should inject through z-if and z-for scopes', async () => {
+            container.innerHTML = '<div z-if="show"><my-label z-for="n in 2"></my-label></div>';
+            let theme;
+            createApp(() => {
+                theme = ref('dark');
+                provide('theme', theme);
+                return { show: true };
+            }).component('my-label', {
+                template: '<span>{{ theme }}</span>',
+                setup: () => ({ theme: inject('theme') })
+            }).mount(container);
+            const spans = () => [...container.querySelectorAll('span')].map(s => s.textContent);
+            expect(spans()).toEqual(['dark', 'dark']);
+            theme.value = 'light';
+            await new Promise(resolve => setTimeout(resolve, 0));
+            expect(spans()).toEqual(['light', 'light']);
+        });
+
+        it('should prefer the nearest provider', () => {
+            container.innerHTML = '<my-panel></my-panel><my-label></my-label>';
+            createApp(() => {
+                provide('size', 'large');
+                return {};
+            }).provide('size', 'small').component('my-panel', {
+                template: '<my-label></my-label>',
+                setup() {
+                    provide('size', 'medium');
+                    return {};
+                }
+            }).component('my-label', {
+                template: '<span>{{ size }}</span>',
+                setup: () => ({ size: inject('size') })
+            }).mount(container);
+            const spans = [...container.querySelectorAll('span')].map(s => s.textContent);
+            expect(spans).toEqual(['medium', 'large']);
+        });
+
+        it('should not inject a value the same component provides', () => {
+            container.innerHTML = '<my-level></my-level>';
+            createApp(() => {
+                provide('level', 1);
+                return {};
+            }).component('my-level', {
+                template: '<span>{{ level }}</span>',
+                setup() {
+                    const level = inject('level');
+                    provide('level', level + 1);
+                    return { level: inject('level') };
+                }
+            }).mount(container);
+            expect(container.querySelector('span').textContent).toBe('1');
+        });
+
+        it('should inject in custom directive hooks', async () => {
+            container.innerHTML = '<p z-tone>Text</p>';
+            createApp(() => {
+                provide('tone', 'red');
+                return {};
+            }).directive('tone', el => el.style.color = inject('tone')).mount(container);
+            await new Promise(resolve => setTimeout(resolve, 0));
+            expect(container.querySelector('p').style.color).toBe('red');
+        });
+
+        it('should return the default value and warn for missing keys', () => {
+            container.innerHTML = '<div></div>';
+            const spy = vi.spyOn(console, 'warn').mockImplementation(() => {});
+            let found, missing;
+            createApp(() => {
+                found = inject('missing', 'fallback');
+                missing = inject('missing');
+                return {};
+            }).mount(container);
+            expect(found).toBe('fallback');
+            expect(missing).toBeUndefined();
+            expect(spy).toHaveBeenCalledTimes(1);
+            expect(spy).toHaveBeenCalledWith('injection "missing" not found.');
+            spy.mockRestore();
+        });
+    });
+
+    describe('CSP mode (expression interpreter)', () => {
+        // Under a CSP without 'unsafe-eval', Function() throws
+        const blockedFunction = () => {
+            throw new EvalError('Refused to evaluate a string as JavaScript');
+        };
+
+        beforeEach(() => {
+            vi.stubGlobal('Function', blockedFunction);
+        });
+
+        afterEach(() => {
+            vi.unstubAllGlobals();
+        });
+
+        it('should evaluate template expressions without Function()', () => {
+            const expressions = [
+                ['count + 1', '3'],
+                ['count > 1 ? "many" : "one"', 'many'],
+                ['`${user.name} (${user.tags.length})`', 'Ada (2)'],
+                ['user.tags.map(t => t.toUpperCase()).join("-")', 'A-B'],
+                ['items.filter(({ done }) => done).length', '1'],
+                ['missing?.deep.value ?? "none"', 'none'],
+                ['Math.max(...items.map(i => i.n))', '2'],
+                ['typeof nothing', 'undefined'],
+                ['!!user && "name" in user', 'true'],
+                ['format(count, { prefix: "#" })', '#2']
+            ];
+            expressions.forEach(([exp]) => {
+                const p = document.createElement('p');
+                p.setAttribute('z-text', exp);
+                container.appendChild(p);
+            });
+            createApp(() => ({
+                count: ref(2),
+                user: reactive({ name: 'Ada', tags: ['a', 'b'] }),
+                items: reactive([{ n: 1, done: true }, { n: 2, done: false }]),
+                missing: null,
+                format: (n, { prefix }) => prefix + n
+            }), { csp: true }).mount(container);
+            const texts = [...container.querySelectorAll('p')].map(p => p.textContent);
+            expect(texts).toEqual(expressions.map(([, text]) => text));
+        });
+
+        it('should run directives and bindings', async () => {
+            container.innerHTML = `
+                <ul><li z-for="({ id, label }, i) in items" :key="id" :class="{ first: i === 0 }">{{ label }}</li></ul>
+                <p z-if="items.length > 1">Several</p>
+                <input z-model="form.name">
+            `;
+            let items, form;
+            createApp(() => {
+                items = reactive([{ id: 1, label: 'One' }, { id: 2, label: 'Two' }]);
+                form = reactive({ name: 'Ada' });
+                return { items, form };
+            }, { csp: true }).mount(container);
+            const lis = container.querySelectorAll('li');
+            expect([...lis].map(li => li.textContent)).toEqual(['One', 'Two']);
+            expect(lis[0].className).toBe('first');
+            expect(container.querySelector('p')).not.toBeNull();
+
+            const input = container.querySelector('input');
+            expect(input.value).toBe('Ada');
+            input.value = 'Bo';
+            input.dispatchEvent(new dom.window.Event('input'));
+            expect(form.name).toBe('Bo');
+
+            items.pop();
+            await new Promise(resolve => setTimeout(resolve, 0));
+            expect(container.querySelector('p')).toBeNull();
+        });
+
+        it('should run inline event handlers', () => {
+            container.innerHTML = '<button @click="count.value++; log.push(e.type)">Go</button>';
+            let count, log;
+            createApp(() => {
+                count = ref(0);
+                log = [];
+                return { count, log };
+            }, { csp: true }).mount(container);
+            container.querySelector('button').click();
+            container.querySelector('button').click();
+            expect(count.value).toBe(2);
+            expect(log).toEqual(['click', 'click']);
+        });
+
+        it('should report unsupported syntax as an event error', () => {
+            container.innerHTML = '<button @click="if (ok) go()">Go</button>';
+            const spy = vi.spyOn(console, 'error').mockImplementation(() => {});
+            createApp(() => ({ ok: true, go: () => {} }), { csp: true }).mount(container);
+            container.querySelector('button').click();
+            expect(spy).toHaveBeenCalledWith('Event error:', expect.any(SyntaxError));
+            spy.mockRestore();
+        });
+
+        it('should use the interpreter automatically when Function() is blocked', async () => {
+            vi.resetModules();
+            const zog = await import('../src/zog.js');
+            container.innerHTML = '<p>{{ items.map(n => n * 2).join(",") }}</p>';
+            zog.createApp(() => ({ items: zog.reactive([1, 2, 3]) })).mount(container);
+            expect(container.querySelector('p').textContent).toBe('2,4,6');
+        });
+    });
 });
@@ -1,6 +1,6 @@
 import { describe, it, expect, beforeEach, afterEach, vi } from 'vitest';
 import { JSDOM } from 'jsdom';
-import { createApp, ref, reactive, computed, watchEffect, nextTick } from '../src/zog.js';
+import { createApp, ref, reactive, computed, watchEffect, nextTick, config } from '../src/zog.js';
 
 describe('Edge Cases and Bug Detection', () => {
     let dom;
@@ -207,7 +207,15 @@ describe('Edge Cases and Bug Detection', () => {
         });
     });
 
-    describe('ref with Objects/Arrays (Should Throw)', () => {
+    describe('ref with Objects/Arrays in strict mode (Should Throw)', () => {
+        beforeEach(() => {
+            config.strictRefs = true;
+        });
+
+        afterEach(() => {
+            config.strictRefs = false;
+        });
+
         it('should throw when creating ref with object', () => {
             expect(() => {
                 ref({ name: 'test' });
@@ -242,6 +250,60 @@ describe('Edge Cases and Bug Detection', () => {
         });
     });
 
+    describe('ref with Objects/Arrays', () => {
+        it('should render a ref holding an object loaded later', async () => {
+            container.innerHTML = '<p z-if="user">{{ user.name }}</p>';
+            let user;
+            createApp(() => {
+                user = ref(null);
+                return { user };
+            }).mount(container);
+            expect(container.querySelector('p')).toBeNull();
+            user.value = { name: 'Ali' };
+            await nextTick();
+            expect(container.querySelector('p').textContent).toBe('Ali');
+            user.value.name = 'Sara';
+            await nextTick();
+            expect(container.querySelector('p').textContent).toBe('Sara');
+        });
+
+        it('should render z-for over a ref holding an array', async () => {
+            container.innerHTML = '<li z-for="item in items">{{ item }}</li>';
+            let items;
+            createApp(() => {
+                items = ref([1, 2]);
+                return { items };
+            }).mount(container);
+            expect(container.querySelectorAll('li').length).toBe(2);
+            items.value.push(3);
+            await nextTick();
+            expect(container.querySelectorAll('li').length).toBe(3);
+            items.value = [9];
+            await nextTick();
+            expect(container.textContent).toBe('9');
+        });
+
+        it('should unwrap refs stored inside a z-for list', () => {
+            container.innerHTML = '<li z-for="item in items">{{ item }}</li>';
+            createApp(() => ({ items: [ref('a'), ref('b')] })).mount(container);
+            expect(container.textContent).toBe('ab');
+        });
+
+        it('should bind z-model to a property of an object ref', async () => {
+            container.innerHTML = '<input z-model="form.name">';
+            let form;
+            createApp(() => {
+                form = ref({ name: 'Ali' });
+                return { form };
+            }).mount(container);
+            const input = container.querySelector('input');
+            expect(input.value).toBe('Ali');
+            input.value = 'Reza';
+            input.dispatchEvent(new dom.window.Event('input'));
+            expect(form.value.name).toBe('Reza');
+        });
+    });
+
     describe('Memory Leaks and Cleanup', () => {
         it('should cleanup effects when scope is destroyed', async () => {
             container.innerHTML = `
@@ -414,6 +476,60 @@ describe('Edge Cases and Bug Detection', () => {
             expect(container.querySelectorAll('div').length).toBe(100);
             expect(mountTime).toBeLessThan(1000); // Should mount in less than 1 second
         });
+
+        it('should flush a 10k-effect "select all" in linear work', async () => {
+            // Every effect depends on the same flag, like rows reacting to "select all"
+            const n = 10000;
+            const selectAll = ref(false);
+            let runs = 0;
+            const stops = Array.from({ length: n }, () => watchEffect(() => { selectAll.value; runs++; }));
+            runs = 0;
+
+            // Count the comparisons made while ordering the queue for the flush
+            let comparisons = 0;
+            const sort = Array.prototype.sort;
+            const spy = vi.spyOn(Array.prototype, 'sort').mockImplementation(function (cmp) {
+                return sort.call(this, cmp && ((a, b) => (comparisons++, cmp(a, b))));
+            });
+            selectAll.value = true;
+            selectAll.value = false;
+            selectAll.value = true;
+            await nextTick();
+            spy.mockRestore();
+            stops.forEach(stop => stop());
+
+            // Each effect is queued once and runs once; ordering is a single pass
+            // (a quadratic scheduler would need around n * n / 2 = 50M comparisons)
+            expect(runs).toBe(n);
+            expect(comparisons).toBeGreaterThan(0);
+            expect(comparisons).toBeLessThan(2 * n);
+        });
+
+        it('should run many effects triggered in reverse in creation order', async () => {
+            // Each effect has its own source; triggering them backwards queues every one out of order
+            const sources = Array.from({ length: 1000 }, () => ref(0));
+            const order = [];
+            const stops = sources.map((source, i) => watchEffect(() => { source.value; order.push(i); }));
+            order.length = 0;
+            for (let i = sources.length - 1; i >= 0; i--) sources[i].value++;
+            await nextTick();
+            stops.forEach(stop => stop());
+            expect(order).toEqual(sources.map((_, i) => i));
+        });
+
+        it('should keep queued effects ordered by creation when triggered out of order', async () => {
+            const a = ref(0);
+            const b = ref(0);
+            const order = [];
+            watchEffect(() => { a.value; order.push(1); });
+            watchEffect(() => { b.value; order.push(2); });
+            watchEffect(() => { a.value; order.push(3); });
+            order.length = 0;
+            b.value++;
+            a.value++;
+            await nextTick();
+            expect(order).toEqual([1, 2, 3]);
+        });
     });
 
     describe('Expression Evaluation Edge Cases', () => {
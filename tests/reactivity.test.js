@@ -1,5 +1,10 @@
-import { describe, it, expect, beforeEach, vi } from 'vitest';
-import { ref, reactive, computed, watchEffect, nextTick } from '../src/zog.js';
+import { describe, it, expect, beforeEach, afterEach, vi } from 'vitest';
+import {
+    ref, reactive, computed, watchEffect, watch, nextTick,
+    readonly, shallowReactive, shallowRef,
+    toRaw, markRaw, isReactive, isRef, unref, toRef, toRefs, config,
+    effectScope, getCurrentScope, onScopeDispose, batch, untracked, onHook
+} from '../src/zog.js';
 
 describe('Reactivity System', () => {
     describe('ref()', () => {
@@ -21,22 +26,79 @@ describe('Reactivity System', () => {
             expect(dummy).toBe(1);
         });
 
-        it('should throw error when passed an object', () => {
-            expect(() => ref({ name: 'test' })).toThrow();
+        it('should accept objects and make them reactive', async () => {
+            const user = ref({ name: 'Ali' });
+            expect(isReactive(user.value)).toBe(true);
+            let dummy;
+            watchEffect(() => {
+                dummy = user.value.name;
+            });
+            user.value.name = 'Sara';
+            await nextTick();
+            expect(dummy).toBe('Sara');
         });
 
-        it('should throw error when passed an array', () => {
-            expect(() => ref([1, 2, 3])).toThrow();
+        it('should convert objects assigned to .value', async () => {
+            const list = ref(null);
+            let dummy;
+            watchEffect(() => {
+                dummy = list.value?.length;
+            });
+            list.value = [1, 2];
+            await nextTick();
+            expect(dummy).toBe(2);
+            expect(isReactive(list.value)).toBe(true);
+            list.value.push(3);
+            await nextTick();
+            expect(dummy).toBe(3);
         });
 
-        it('should throw error when setting value to object', () => {
-            const count = ref(0);
-            expect(() => { count.value = { x: 1 }; }).toThrow();
+        it('should not trigger when assigning the reactive version of the same object', async () => {
+            const raw = { a: 1 };
+            const r = ref(raw);
+            const runs = vi.fn();
+            watchEffect(() => {
+                runs();
+                r.value;
+            });
+            r.value = reactive(raw);
+            r.value = raw;
+            await nextTick();
+            expect(runs).toHaveBeenCalledTimes(1);
         });
 
-        it('should throw error when setting value to array', () => {
-            const count = ref(0);
-            expect(() => { count.value = [1, 2]; }).toThrow();
+        describe('strict mode', () => {
+            beforeEach(() => {
+                config.strictRefs = true;
+                vi.spyOn(console, 'warn').mockImplementation(() => {});
+            });
+
+            afterEach(() => {
+                config.strictRefs = false;
+                vi.restoreAllMocks();
+            });
+
+            it('should throw error when passed an object', () => {
+                expect(() => ref({ name: 'test' })).toThrow();
+            });
+
+            it('should throw error when passed an array', () => {
+                expect(() => ref([1, 2, 3])).toThrow();
+            });
+
+            it('should throw error when setting value to object', () => {
+                const count = ref(0);
+                expect(() => { count.value = { x: 1 }; }).toThrow();
+            });
+
+            it('should throw error when setting value to array', () => {
+                const count = ref(0);
+                expect(() => { count.value = [1, 2]; }).toThrow();
+            });
+
+            it('should still allow shallowRef() with objects', () => {
+                expect(() => shallowRef({ x: 1 })).not.toThrow();
+            });
         });
 
         it('should work with string values', () => {
@@ -258,6 +320,24 @@ describe('Reactivity System', () => {
             expect(result).toEqual([2, 4, 6]);
         });
 
+        it('should iterate arrays with spread and for...of', () => {
+            const arr = reactive([{ id: 1 }, { id: 2 }]);
+            expect([...arr].map(x => x.id)).toEqual([1, 2]);
+            expect(isReactive([...arr.values()][0])).toBe(true);
+            const keys = [];
+            for (const [i] of arr.entries()) keys.push(i);
+            expect(keys).toEqual([0, 1]);
+        });
+
+        it('should track arrays read by spread', async () => {
+            const arr = reactive([1, 2]);
+            let dummy;
+            watchEffect(() => { dummy = [...arr].join(','); });
+            arr.push(3);
+            await new Promise(resolve => setTimeout(resolve, 0));
+            expect(dummy).toBe('1,2,3');
+        });
+
         it('should track array sort',async () => {
             const arr = reactive([3, 1, 2]);
             let dummy;
@@ -283,6 +363,354 @@ describe('Reactivity System', () => {
         });
     });
 
+    describe('reactive() collections', () => {
+        it('should track Map get/set per key', async () => {
+            const map = reactive(new Map([['a', 1]]));
+            const runs = vi.fn();
+            let dummy;
+            watchEffect(() => {
+                runs();
+                dummy = map.get('a');
+            });
+            expect(dummy).toBe(1);
+            map.set('b', 2);
+            await nextTick();
+            expect(runs).toHaveBeenCalledTimes(1);
+            map.set('a', 5);
+            await nextTick();
+            expect(dummy).toBe(5);
+            expect(runs).toHaveBeenCalledTimes(2);
+        });
+
+        it('should track Map has/delete', async () => {
+            const map = reactive(new Map([['a', 1]]));
+            let dummy;
+            watchEffect(() => {
+                dummy = map.has('a');
+            });
+            expect(dummy).toBe(true);
+            expect(map.delete('a')).toBe(true);
+            await nextTick();
+            expect(dummy).toBe(false);
+        });
+
+        it('should track size and clear', async () => {
+            const set = reactive(new Set([1, 2]));
+            let dummy;
+            watchEffect(() => {
+                dummy = set.size;
+            });
+            expect(dummy).toBe(2);
+            set.add(3);
+            await nextTick();
+            expect(dummy).toBe(3);
+            set.clear();
+            await nextTick();
+            expect(dummy).toBe(0);
+        });
+
+        it('should not notify when adding an existing Set item', async () => {
+            const set = reactive(new Set([1]));
+            const runs = vi.fn();
+            watchEffect(() => {
+                runs();
+                set.has(1);
+            });
+            set.add(1);
+            await nextTick();
+            expect(runs).toHaveBeenCalledTimes(1);
+        });
+
+        it('should track iteration with forEach and for...of', async () => {
+            const map = reactive(new Map([['a', 1]]));
+            let viaForEach, viaIterator;
+            watchEffect(() => {
+                viaForEach = [];
+                map.forEach((v, k) => viaForEach.push(k + v));
+            });
+            watchEffect(() => {
+                viaIterator = [];
+                for (const [k, v] of map) viaIterator.push(k + v);
+            });
+            map.set('b', 2);
+            await nextTick();
+            expect(viaForEach).toEqual(['a1', 'b2']);
+            expect(viaIterator).toEqual(['a1', 'b2']);
+        });
+
+        it('should track keys, values and entries', async () => {
+            const map = reactive(new Map());
+            let dummy;
+            watchEffect(() => {
+                dummy = [[...map.keys()], [...map.values()], [...map.entries()]];
+            });
+            map.set('x', 1);
+            await nextTick();
+            expect(dummy).toEqual([['x'], [1], [['x', 1]]]);
+        });
+
+        it('should make nested values reactive', async () => {
+            const map = reactive(new Map([['user', { name: 'Ali' }]]));
+            let dummy;
+            watchEffect(() => {
+                dummy = map.get('user').name;
+            });
+            map.get('user').name = 'Sara';
+            await nextTick();
+            expect(dummy).toBe('Sara');
+        });
+
+        it('should store raw values and accept reactive keys', () => {
+            const key = reactive({ id: 1 });
+            const map = reactive(new Map());
+            map.set(key, 'one');
+            expect(map.get(key)).toBe('one');
+            expect(map.has(key)).toBe(true);
+            const set = reactive(new Set());
+            set.add(key);
+            expect(set.has(key)).toBe(true);
+            expect(set.size).toBe(1);
+        });
+
+        it('should support WeakMap and WeakSet', async () => {
+            const key = {};
+            const wm = reactive(new WeakMap());
+            const ws = reactive(new WeakSet());
+            let dummy;
+            watchEffect(() => {
+                dummy = [wm.get(key), ws.has(key)];
+            });
+            expect(dummy).toEqual([undefined, false]);
+            wm.set(key, 1);
+            ws.add(key);
+            await nextTick();
+            expect(dummy).toEqual([1, true]);
+            expect(wm.clear).toBeUndefined();
+        });
+
+        it('should accept primitive keys on weak collections without throwing', () => {
+            const wm = reactive(new WeakMap());
+            const ws = reactive(new WeakSet());
+            watchEffect(() => {
+                expect(wm.get('x')).toBeUndefined();
+                expect(wm.has(1)).toBe(false);
+                expect(ws.has(1)).toBe(false);
+            });
+            expect(wm.delete('x')).toBe(false);
+            expect(ws.delete(1)).toBe(false);
+        });
+
+        it('should return the same proxy for the same collection', () => {
+            const raw = new Map();
+            expect(reactive(raw)).toBe(reactive(raw));
+            expect(reactive(raw) instanceof Map).toBe(true);
+        });
+
+        it('should deep watch collections with watch()', async () => {
+            const set = reactive(new Set());
+            const cb = vi.fn();
+            watch(set, cb);
+            set.add('a');
+            await nextTick();
+            expect(cb).toHaveBeenCalledTimes(1);
+        });
+    });
+
+    describe('readonly()', () => {
+        it('should read values and nested objects', () => {
+            const state = readonly({ user: { name: 'Ali' }, tags: ['a'] });
+            expect(state.user.name).toBe('Ali');
+            expect(state.tags[0]).toBe('a');
+        });
+
+        it('should warn and ignore writes and deletes', () => {
+            const spy = vi.spyOn(console, 'warn').mockImplementation(() => {});
+            const state = readonly({ count: 0, nested: { x: 1 } });
+            state.count = 5;
+            delete state.count;
+            state.nested.x = 2;
+            expect(state.count).toBe(0);
+            expect(state.nested.x).toBe(1);
+            expect(spy).toHaveBeenCalledTimes(3);
+            spy.mockRestore();
+        });
+
+        it('should block array mutators', () => {
+            const spy = vi.spyOn(console, 'warn').mockImplementation(() => {});
+            const list = readonly([1, 2]);
+            list.push(3);
+            expect(list.length).toBe(2);
+            expect(list.map(x => x * 2)).toEqual([2, 4]);
+            expect(spy).toHaveBeenCalled();
+            spy.mockRestore();
+        });
+
+        it('should block collection mutators', () => {
+            const spy = vi.spyOn(console, 'warn').mockImplementation(() => {});
+            const map = readonly(new Map([['a', 1]]));
+            map.set('b', 2);
+            expect(map.delete('a')).toBe(false);
+            map.clear();
+            expect(map.size).toBe(1);
+            expect(map.get('a')).toBe(1);
+            spy.mockRestore();
+        });
+
+        it('should stay in sync with a wrapped reactive object', async () => {
+            const state = reactive({ count: 0 });
+            const view = readonly(state);
+            let dummy;
+            watchEffect(() => {
+                dummy = view.count;
+            });
+            state.count = 3;
+            await nextTick();
+            expect(dummy).toBe(3);
+            expect(view.count).toBe(3);
+        });
+
+        it('should cache proxies and not be re-wrapped by reactive()', () => {
+            const raw = { a: 1 };
+            const ro = readonly(raw);
+            expect(readonly(raw)).toBe(ro);
+            expect(readonly(ro)).toBe(ro);
+            expect(reactive(ro)).toBe(ro);
+        });
+    });
+
+    describe('shallowReactive()', () => {
+        it('should track root-level properties', async () => {
+            const state = shallowReactive({ count: 0 });
+            let dummy;
+            watchEffect(() => {
+                dummy = state.count;
+            });
+            state.count = 1;
+            await nextTick();
+            expect(dummy).toBe(1);
+        });
+
+        it('should not wrap nested objects', async () => {
+            const nested = { x: 1 };
+            const state = shallowReactive({ nested });
+            expect(state.nested).toBe(nested);
+            const runs = vi.fn();
+            watchEffect(() => {
+                runs();
+                state.nested.x;
+            });
+            state.nested.x = 2;
+            await nextTick();
+            expect(runs).toHaveBeenCalledTimes(1);
+        });
+
+        it('should be distinct from the deep reactive proxy', () => {
+            const raw = { a: 1 };
+            expect(shallowReactive(raw)).not.toBe(reactive(raw));
+            expect(shallowReactive(raw)).toBe(shallowReactive(raw));
+        });
+    });
+
+    describe('shallowRef()', () => {
+        it('should hold objects and arrays without converting them', () => {
+            const raw = { a: 1 };
+            const r = shallowRef(raw);
+            expect(r.value).toBe(raw);
+            expect(r._isRef).toBe(true);
+            expect(shallowRef([1]).value).toEqual([1]);
+        });
+
+        it('should only trigger when .value is replaced', async () => {
+            const r = shallowRef({ count: 0 });
+            const runs = vi.fn();
+            watchEffect(() => {
+                runs();
+                r.value.count;
+            });
+            r.value.count = 1;
+            await nextTick();
+            expect(runs).toHaveBeenCalledTimes(1);
+            r.value = { count: 2 };
+            await nextTick();
+            expect(runs).toHaveBeenCalledTimes(2);
+        });
+    });
+
+    describe('Reactivity utilities', () => {
+        it('toRaw() should return the original object', () => {
+            const raw = { nested: { a: 1 } };
+            const state = reactive(raw);
+            expect(toRaw(state)).toBe(raw);
+            expect(toRaw(state.nested)).toBe(raw.nested);
+            expect(toRaw(readonly(state))).toBe(raw);
+            expect(toRaw(raw)).toBe(raw);
+            expect(toRaw(1)).toBe(1);
+        });
+
+        it('markRaw() should opt objects out of reactivity', () => {
+            const chart = markRaw({ draw() {} });
+            expect(reactive(chart)).toBe(chart);
+            const state = reactive({ chart });
+            expect(state.chart).toBe(chart);
+            expect(isReactive(state.chart)).toBe(false);
+        });
+
+        it('isReactive() should detect reactive proxies', () => {
+            expect(isReactive(reactive({}))).toBe(true);
+            expect(isReactive(shallowReactive({}))).toBe(true);
+            expect(isReactive(readonly(reactive({})))).toBe(true);
+            expect(isReactive(readonly({}))).toBe(false);
+            expect(isReactive({})).toBe(false);
+            expect(isReactive(null)).toBe(false);
+        });
+
+        it('isRef() and unref() should handle refs and plain values', () => {
+            const r = ref(1);
+            expect(isRef(r)).toBe(true);
+            expect(isRef(computed(() => 1))).toBe(true);
+            expect(isRef(1)).toBe(false);
+            expect(isRef(null)).toBe(false);
+            expect(unref(r)).toBe(1);
+            expect(unref(2)).toBe(2);
+        });
+
+        it('toRef() should link to a reactive property', async () => {
+            const state = reactive({ count: 0 });
+            const count = toRef(state, 'count');
+            let dummy;
+            watchEffect(() => {
+                dummy = count.value;
+            });
+            state.count = 1;
+            await nextTick();
+            expect(dummy).toBe(1);
+            count.value = 2;
+            expect(state.count).toBe(2);
+        });
+
+        it('toRef() should support defaults, refs and getters', () => {
+            const state = reactive({});
+            expect(toRef(state, 'missing', 'fallback').value).toBe('fallback');
+            const r = ref(1);
+            expect(toRef(r)).toBe(r);
+            expect(toRef(() => r.value + 1).value).toBe(2);
+        });
+
+        it('toRefs() should allow destructuring without losing reactivity', async () => {
+            const state = reactive({ x: 1, y: 2 });
+            const { x, y } = toRefs(state);
+            let dummy;
+            watchEffect(() => {
+                dummy = x.value + y.value;
+            });
+            state.x = 10;
+            await nextTick();
+            expect(dummy).toBe(12);
+            y.value = 0;
+            expect(state.y).toBe(0);
+        });
+    });
+
     describe('computed()', () => {
         it('should create a computed ref', () => {
             const count = ref(1);
@@ -327,6 +755,30 @@ describe('Reactivity System', () => {
             expect(sum.value).toBe(5);
         });
 
+        it('should support writable computed with get/set', async () => {
+            const first = ref('John');
+            const last = ref('Doe');
+            const fullName = computed({
+                get: () => `${first.value} ${last.value}`,
+                set: v => { [first.value, last.value] = v.split(' '); }
+            });
+            expect(fullName.value).toBe('John Doe');
+            fullName.value = 'Jane Smith';
+            expect(first.value).toBe('Jane');
+            expect(last.value).toBe('Smith');
+            expect(fullName.value).toBe('Jane Smith');
+        });
+
+        it('should warn when assigning to a read-only computed', () => {
+            const spy = vi.spyOn(console, 'warn').mockImplementation(() => {});
+            const count = ref(1);
+            const double = computed(() => count.value * 2);
+            expect(() => { double.value = 10; }).not.toThrow();
+            expect(double.value).toBe(2);
+            expect(spy).toHaveBeenCalled();
+            spy.mockRestore();
+        });
+
         it('should work with reactive objects', () => {
             const obj = reactive({ count: 1 });
             const double = computed(() => obj.count * 2);
@@ -415,7 +867,369 @@ describe('Reactivity System', () => {
         });
     });
 
+    describe('watch()', () => {
+        it('should not run the callback immediately by default', () => {
+            const count = ref(0);
+            const cb = vi.fn();
+            watch(count, cb);
+            expect(cb).not.toHaveBeenCalled();
+        });
+
+        it('should pass new and old values for a ref', async () => {
+            const count = ref(0);
+            const calls = [];
+            watch(count, (val, old) => calls.push([val, old]));
+            count.value = 1;
+            await nextTick();
+            count.value = 5;
+            await nextTick();
+            expect(calls).toEqual([[1, 0], [5, 1]]);
+        });
+
+        it('should watch a getter function', async () => {
+            const state = reactive({ user: { name: 'Ali' }, other: 0 });
+            const cb = vi.fn();
+            watch(() => state.user.name, cb);
+            state.other++;
+            await nextTick();
+            expect(cb).not.toHaveBeenCalled();
+            state.user.name = 'Sara';
+            await nextTick();
+            expect(cb).toHaveBeenCalledTimes(1);
+            expect(cb.mock.calls[0][0]).toBe('Sara');
+            expect(cb.mock.calls[0][1]).toBe('Ali');
+        });
+
+        it('should watch a computed', async () => {
+            const count = ref(1);
+            const double = computed(() => count.value * 2);
+            const cb = vi.fn();
+            watch(double, cb);
+            count.value = 2;
+            await nextTick();
+            expect(cb.mock.calls[0].slice(0, 2)).toEqual([4, 2]);
+        });
+
+        it('should watch reactive objects deeply', async () => {
+            const state = reactive({ nested: { count: 0 } });
+            const cb = vi.fn();
+            watch(state, cb);
+            state.nested.count++;
+            await nextTick();
+            expect(cb).toHaveBeenCalledTimes(1);
+            expect(cb.mock.calls[0][0]).toBe(state);
+        });
+
+        it('should only trigger on nested changes of a getter with deep', async () => {
+            const state = reactive({ list: [{ done: false }] });
+            const shallow = vi.fn();
+            const deep = vi.fn();
+            watch(() => state.list, shallow);
+            watch(() => state.list, deep, { deep: true });
+            state.list[0].done = true;
+            await nextTick();
+            expect(shallow).not.toHaveBeenCalled();
+            expect(deep).toHaveBeenCalledTimes(1);
+        });
+
+        it('should watch an array of sources', async () => {
+            const a = ref(1);
+            const b = ref('x');
+            const calls = [];
+            watch([a, () => b.value], (vals, olds) => calls.push([vals, olds]));
+            a.value = 2;
+            b.value = 'y';
+            await nextTick();
+            expect(calls).toEqual([[[2, 'y'], [1, 'x']]]);
+        });
+
+        it('should run immediately with the immediate option', () => {
+            const count = ref(3);
+            const cb = vi.fn();
+            watch(count, cb, { immediate: true });
+            expect(cb).toHaveBeenCalledTimes(1);
+            expect(cb.mock.calls[0][0]).toBe(3);
+            expect(cb.mock.calls[0][1]).toBe(undefined);
+        });
+
+        it('should stop after the first call with the once option', async () => {
+            const count = ref(0);
+            const cb = vi.fn();
+            watch(count, cb, { once: true });
+            count.value = 1;
+            await nextTick();
+            count.value = 2;
+            await nextTick();
+            expect(cb).toHaveBeenCalledTimes(1);
+        });
+
+        it('should batch changes and skip unchanged values', async () => {
+            const count = ref(0);
+            const cb = vi.fn();
+            watch(count, cb);
+            count.value = 1;
+            count.value = 0;
+            await nextTick();
+            expect(cb).not.toHaveBeenCalled();
+        });
+
+        it('should call onCleanup before the next callback and on stop', async () => {
+            const count = ref(0);
+            const cleanups = [];
+            const stop = watch(count, (val, old, onCleanup) => {
+                onCleanup(() => cleanups.push(val));
+            });
+            count.value = 1;
+            await nextTick();
+            expect(cleanups).toEqual([]);
+            count.value = 2;
+            await nextTick();
+            expect(cleanups).toEqual([1]);
+            stop();
+            expect(cleanups).toEqual([1, 2]);
+        });
+
+        it('should not call back after stop', async () => {
+            const count = ref(0);
+            const cb = vi.fn();
+            const stop = watch(count, cb);
+            stop();
+            count.value = 1;
+            await nextTick();
+            expect(cb).not.toHaveBeenCalled();
+        });
+    });
+
+    describe('effectScope()', () => {
+        it('should collect effects created in run() and stop them', async () => {
+            const count = ref(0);
+            let dummy, watched;
+            const scope = effectScope();
+            scope.run(() => {
+                watchEffect(() => { dummy = count.value; });
+                watch(count, v => { watched = v; });
+            });
+            count.value = 1;
+            await nextTick();
+            expect(dummy).toBe(1);
+            expect(watched).toBe(1);
+            scope.stop();
+            count.value = 2;
+            await nextTick();
+            expect(dummy).toBe(1);
+            expect(watched).toBe(1);
+        });
+
+        it('should return the value of run()', () => {
+            const scope = effectScope();
+            expect(scope.run(() => 42)).toBe(42);
+        });
+
+        it('should expose the current scope inside run()', () => {
+            const scope = effectScope();
+            expect(getCurrentScope()).toBeNull();
+            scope.run(() => {
+                expect(getCurrentScope()).toBe(scope);
+            });
+            expect(getCurrentScope()).toBeNull();
+        });
+
+        it('should call onScopeDispose callbacks on stop', () => {
+            const disposed = vi.fn();
+            const scope = effectScope();
+            scope.run(() => onScopeDispose(disposed));
+            expect(disposed).not.toHaveBeenCalled();
+            scope.stop();
+            expect(disposed).toHaveBeenCalledTimes(1);
+            scope.stop();
+            expect(disposed).toHaveBeenCalledTimes(1);
+        });
+
+        it('should stop nested scopes with their parent unless detached', () => {
+            const nestedDispose = vi.fn();
+            const detachedDispose = vi.fn();
+            let detached;
+            const parent = effectScope();
+            parent.run(() => {
+                effectScope().run(() => onScopeDispose(nestedDispose));
+                detached = effectScope(true);
+                detached.run(() => onScopeDispose(detachedDispose));
+            });
+            parent.stop();
+            expect(nestedDispose).toHaveBeenCalledTimes(1);
+            expect(detachedDispose).not.toHaveBeenCalled();
+            detached.stop();
+            expect(detachedDispose).toHaveBeenCalledTimes(1);
+        });
+
+        it('should deactivate nested scopes when the parent stops', () => {
+            const outer = effectScope();
+            let inner;
+            outer.run(() => {
+                inner = effectScope();
+            });
+            outer.stop();
+            expect(inner.active).toBe(false);
+            expect(inner.parent).toBeNull();
+            expect(outer.children).toEqual([]);
+        });
+
+        it('should not run functions after stop', () => {
+            const spy = vi.spyOn(console, 'warn').mockImplementation(() => {});
+            const scope = effectScope();
+            scope.stop();
+            expect(scope.run(() => 1)).toBeUndefined();
+            expect(spy).toHaveBeenCalled();
+            spy.mockRestore();
+        });
+
+        it('should warn when onScopeDispose has no active scope', () => {
+            const spy = vi.spyOn(console, 'warn').mockImplementation(() => {});
+            onScopeDispose(() => {});
+            expect(spy).toHaveBeenCalled();
+            spy.mockRestore();
+        });
+    });
+
+    describe('untracked()', () => {
+        it('should read values without subscribing', async () => {
+            const a = ref(1);
+            const b = ref(1);
+            const runs = vi.fn();
+            watchEffect(() => {
+                runs();
+                a.value + untracked(() => b.value);
+            });
+            b.value = 2;
+            await nextTick();
+            expect(runs).toHaveBeenCalledTimes(1);
+            a.value = 2;
+            await nextTick();
+            expect(runs).toHaveBeenCalledTimes(2);
+        });
+
+        it('should return the function result and keep tracking afterwards', async () => {
+            const a = ref(1);
+            const b = ref(2);
+            let dummy;
+            watchEffect(() => {
+                dummy = untracked(() => a.value) + b.value;
+            });
+            expect(dummy).toBe(3);
+            b.value = 3;
+            await nextTick();
+            expect(dummy).toBe(4);
+        });
+
+        it('should not leak tracking from nested computed', async () => {
+            const a = ref(1);
+            const double = computed(() => a.value * 2);
+            const runs = vi.fn();
+            watchEffect(() => {
+                runs();
+                untracked(() => double.value);
+            });
+            a.value = 2;
+            await nextTick();
+            expect(runs).toHaveBeenCalledTimes(1);
+        });
+    });
+
+    describe('batch()', () => {
+        it('should notify once for multiple writes', () => {
+            const pos = reactive({ x: 0, y: 0 });
+            const seen = [];
+            watchEffect(() => { seen.push(pos.x + pos.y); }, { flush: 'sync' });
+            batch(() => {
+                pos.x = 1;
+                pos.y = 2;
+            });
+            expect(seen).toEqual([0, 3]);
+        });
+
+        it('should invalidate computed values once', () => {
+            const a = ref(0);
+            const getter = vi.fn(() => a.value);
+            const c = computed(getter);
+            const seen = [];
+            watchEffect(() => { seen.push(c.value); }, { flush: 'sync' });
+            batch(() => {
+                a.value = 1;
+                a.value = 2;
+                a.value = 3;
+            });
+            expect(seen).toEqual([0, 3]);
+            expect(getter).toHaveBeenCalledTimes(2);
+        });
+
+        it('should wait for the outermost batch', () => {
+            const count = ref(0);
+            const seen = [];
+            watchEffect(() => { seen.push(count.value); }, { flush: 'sync' });
+            batch(() => {
+                batch(() => { count.value = 1; });
+                expect(seen).toEqual([0]);
+                count.value = 2;
+            });
+            expect(seen).toEqual([0, 2]);
+        });
+
+        it('should return the result and notify even if fn throws', () => {
+            const count = ref(0);
+            const seen = [];
+            watchEffect(() => { seen.push(count.value); }, { flush: 'sync' });
+            expect(batch(() => 'ok')).toBe('ok');
+            expect(() => batch(() => {
+                count.value = 1;
+                throw new Error('fail');
+            })).toThrow('fail');
+            expect(seen).toEqual([0, 1]);
+        });
+    });
+
     describe('Effect Scheduling', () => {
+        it('should run sync effects on every change', () => {
+            const count = ref(0);
+            const seen = [];
+            watchEffect(() => { seen.push(count.value); }, { flush: 'sync' });
+            count.value = 1;
+            count.value = 2;
+            expect(seen).toEqual([0, 1, 2]);
+        });
+
+        it('should defer the first run of post effects', async () => {
+            const count = ref(0);
+            const seen = [];
+            watchEffect(() => { seen.push(count.value); }, { flush: 'post' });
+            expect(seen).toEqual([]);
+            await nextTick();
+            expect(seen).toEqual([0]);
+            count.value = 1;
+            await nextTick();
+            expect(seen).toEqual([0, 1]);
+        });
+
+        it('should run pre effects before post effects regardless of creation order', async () => {
+            const count = ref(0);
+            const order = [];
+            watchEffect(() => { count.value; order.push('post'); }, { flush: 'post' });
+            watchEffect(() => { count.value; order.push('pre'); });
+            await nextTick();
+            order.length = 0;
+            count.value = 1;
+            await nextTick();
+            expect(order).toEqual(['pre', 'post']);
+        });
+
+        it('should support flush timing in watch()', async () => {
+            const count = ref(0);
+            const seen = [];
+            watch(count, v => seen.push(v), { flush: 'sync' });
+            count.value = 1;
+            count.value = 2;
+            expect(seen).toEqual([1, 2]);
+        });
+
         it('should batch multiple changes', async () => {
             const count = ref(0);
             let callCount = 0;
@@ -432,6 +1246,70 @@ describe('Reactivity System', () => {
             expect(callCount).toBe(2);
         });
 
+        it('should run effects queued during a flush in the same flush', async () => {
+            const a = ref(0);
+            const b = ref(0);
+            let dummy;
+            watchEffect(() => { dummy = b.value; }, { flush: 'post' });
+            watchEffect(() => { b.value = a.value * 2; });
+            await nextTick();
+            a.value = 2;
+            await nextTick();
+            expect(dummy).toBe(4);
+        });
+
+        it('should abort and report effects that trigger each other forever', async () => {
+            const errorSpy = vi.spyOn(console, 'error').mockImplementation(() => {});
+            const onError = vi.fn();
+            onHook('onError', onError);
+            const a = ref(0);
+            const b = ref(0);
+            const runs = { a: 0, b: 0 };
+            watchEffect(() => { runs.b++; b.value = a.value + 1; });
+            watchEffect(() => { runs.a++; a.value = b.value + 1; });
+            await new Promise(resolve => setTimeout(resolve, 0));
+            const recursion = onError.mock.calls.filter(c => c[1] === 'recursion');
+            expect(recursion.length).toBeGreaterThan(0);
+            expect(recursion[0][0].message).toMatch('Maximum recursive updates');
+            expect(recursion[0][2].effect).toBeDefined();
+            expect(recursion[0][2].dep).toBeDefined();
+            expect(runs.a).toBeLessThan(200);
+            expect(runs.b).toBeLessThan(200);
+            errorSpy.mockRestore();
+        });
+
+        it('should report the dep key of reactive properties', async () => {
+            const errorSpy = vi.spyOn(console, 'error').mockImplementation(() => {});
+            const onError = vi.fn();
+            onHook('onError', onError);
+            const state = reactive({ ping: 0, pong: 0 });
+            watchEffect(() => { state.pong = state.ping + 1; });
+            watchEffect(() => { state.ping = state.pong + 1; });
+            await new Promise(resolve => setTimeout(resolve, 0));
+            const recursion = onError.mock.calls.filter(c => c[1] === 'recursion');
+            expect(['ping', 'pong']).toContain(recursion[0][2].dep.key);
+            errorSpy.mockRestore();
+        });
+
+        it('should report the dep key of refs and iteration', async () => {
+            const errorSpy = vi.spyOn(console, 'error').mockImplementation(() => {});
+            const onError = vi.fn();
+            onHook('onError', onError);
+            const a = ref(0);
+            const b = ref(0);
+            watchEffect(() => { b.value = a.value + 1; });
+            watchEffect(() => { a.value = b.value + 1; });
+            await new Promise(resolve => setTimeout(resolve, 0));
+            const s1 = reactive(new Set());
+            const s2 = reactive(new Set());
+            watchEffect(() => { s2.add(s1.size); });
+            watchEffect(() => { s1.add(s2.size); });
+            await new Promise(resolve => setTimeout(resolve, 0));
+            const keys = onError.mock.calls.filter(c => c[1] === 'recursion').map(c => c[2].dep.key);
+            expect(keys).toEqual(['value', 'size/iteration']);
+            errorSpy.mockRestore();
+        });
+
         it('should avoid infinite loops', () => {
             const count = ref(0);
             let callCount = 0;